@@ -57,6 +57,13 @@ function registerClasses(layout) {
     `
   );
 
+  layout.registerClass(
+    "primary-button:hover",
+    `
+        width: 130
+    `
+  );
+
   layout.registerClass(
     "absolute-overlay",
     `
@@ -4,627 +4,4157 @@
  */
 
 class UILayout {
+  // Box sides in CSS shorthand order
+  static BOX_SIDES = ["top", "right", "bottom", "left"];
+
+  // Pseudo-classes that depend on user interaction
+  static STATE_PSEUDO_CLASSES = ["hover", "active", "focus", "disabled"];
+
+  // Keywords accepted by every property
+  static CASCADE_KEYWORDS = ["inherit", "initial", "unset", "revert-layer"];
+
+  // Properties that take their parent's value when not set
+  static INHERITED_PROPERTIES = ["fontSize", "direction"];
+
+  // Logical properties and the physical properties they set in ltr and rtl
+  static LOGICAL_PROPERTIES = {
+    marginInlineStart: ["marginLeft", "marginRight"],
+    marginInlineEnd: ["marginRight", "marginLeft"],
+    paddingInlineStart: ["paddingLeft", "paddingRight"],
+    paddingInlineEnd: ["paddingRight", "paddingLeft"],
+    borderInlineStartWidth: ["borderLeftWidth", "borderRightWidth"],
+    borderInlineEndWidth: ["borderRightWidth", "borderLeftWidth"],
+    insetInlineStart: ["left", "right"],
+    insetInlineEnd: ["right", "left"],
+  };
+
+  // Entries kept in each style cache before it is cleared
+  static STYLE_CACHE_LIMIT = 1000;
+
+  // Grid line numbers and spans are clamped to this many tracks
+  static MAX_GRID_LINES = 1000;
+
+  // Units accepted in lengths
+  static LENGTH_UNITS = ["px", "%", "em", "rem", "vw", "vh", "vmin", "vmax"];
+
+  // Known longhand properties and the values they accept. Shorthands
+  // (margin, padding, border, inset, flex, ...) are checked against their
+  // longhands, and custom properties (--name) accept anything
+  static PROPERTY_SCHEMA = (() => {
+    const length = { type: "length" };
+    const lengthOrAuto = { type: "length", keywords: ["auto"] };
+    const lengthOrNone = { type: "length", keywords: ["none"] };
+    // safe and unsafe may prefix start, center and end (see isValidValue)
+    const alignment = {
+      keywords: ["start", "center", "end", "stretch"],
+      overflow: true,
+    };
+    const anchor = {
+      keywords: [
+        "top-left",
+        "top",
+        "top-center",
+        "top-right",
+        "left",
+        "center-left",
+        "center",
+        "right",
+        "center-right",
+        "bottom-left",
+        "bottom",
+        "bottom-center",
+        "bottom-right",
+      ],
+    };
+
+    const schema = {
+      display: {
+        keywords: [
+          "vertical",
+          "horizontal",
+          "vertical-reverse",
+          "horizontal-reverse",
+          "grid",
+        ],
+      },
+      position: { keywords: ["relative", "absolute", "anchor", "fixed"] },
+      direction: { keywords: ["ltr", "rtl"] },
+      alignItems: alignment,
+      alignment,
+      alignSelf: { ...alignment, keywords: [...alignment.keywords, "auto"] },
+      justifySelf: alignment,
+      justifyItems: alignment,
+      justifyContent: {
+        keywords: [
+          "start",
+          "center",
+          "end",
+          "space-between",
+          "space-around",
+          "space-evenly",
+          "stretch",
+        ],
+        overflow: true,
+      },
+      flexWrap: { keywords: ["nowrap", "wrap", "wrap-reverse"] },
+      alignContent: {
+        keywords: [
+          "start",
+          "center",
+          "end",
+          "space-between",
+          "space-around",
+          "space-evenly",
+          "stretch",
+        ],
+        overflow: true,
+      },
+      rowGap: length,
+      columnGap: length,
+      columns: { type: "integer" },
+      order: { type: "integer", negative: true },
+      gridTemplateColumns: { type: "tracks" },
+      gridTemplateRows: { type: "tracks" },
+      gridTemplateAreas: { type: "areas" },
+      gridAutoColumns: { type: "autoTracks" },
+      gridAutoRows: { type: "autoTracks" },
+      gridAutoFlow: {
+        keywords: [
+          "row",
+          "column",
+          "dense",
+          "row dense",
+          "column dense",
+          "dense row",
+          "dense column",
+        ],
+      },
+      gridColumnStart: { type: "gridLine" },
+      gridColumnEnd: { type: "gridLine" },
+      gridRowStart: { type: "gridLine" },
+      gridRowEnd: { type: "gridLine" },
+      fitContent: { type: "boolean" },
+      width: lengthOrAuto,
+      height: lengthOrAuto,
+      minWidth: length,
+      minHeight: length,
+      maxWidth: lengthOrNone,
+      maxHeight: lengthOrNone,
+      aspectRatio: { type: "ratio", keywords: ["auto"] },
+      percentWidth: { type: "number" },
+      percentHeight: { type: "number" },
+      flexGrow: { type: "number" },
+      flexShrink: { type: "number" },
+      flexBasis: lengthOrAuto,
+      fontSize: length,
+      anchorTarget: { type: "string" },
+      anchorPoint: anchor,
+      selfAnchor: anchor,
+      anchorOffsetX: length,
+      anchorOffsetY: length,
+    };
+
+    for (const side of ["top", "right", "bottom", "left"]) {
+      const Side = side.charAt(0).toUpperCase() + side.slice(1);
+      schema[side] = lengthOrAuto;
+      schema["margin" + Side] = lengthOrAuto;
+      schema["padding" + Side] = length;
+      schema["border" + Side + "Width"] = length;
+    }
+
+    // Logical properties accept the values of the sides they map to
+    for (const [logical, [physical]] of Object.entries(
+      UILayout.LOGICAL_PROPERTIES
+    )) {
+      schema[logical] = schema[physical];
+    }
+
+    return schema;
+  })();
+
   constructor(runtime) {
     this.runtime = runtime;
     // Map to store registered classes and their styles
     this.registeredClasses = new Map();
+    // Cascade layer names, from lowest to highest priority
+    this.layerOrder = [];
+    // State variants of registered classes (e.g. "button:hover"), by class name
+    this.registeredClassStates = new Map();
+    // Stylesheet rules added with addRule, in declaration order
+    this.registeredRules = [];
+    // Font size used for em/rem when no font-size is set up the hierarchy
+    this.defaultFontSize = 16;
+    // Parsed calc()/min()/max()/clamp() expressions keyed by source text
+    this.mathExpressionCache = new Map();
+
+    // Parsed grid-template-columns/rows track lists keyed by source text
+    this.trackListCache = new Map();
+    // Parsed grid-template-areas keyed by source text
+    this.gridAreasCache = new Map();
+    // Declarations style validation reported as invalid, by property and
+    // value, so layout does not report them again
+    this.invalidDeclarations = new Set();
+    // Invalid grid value last reported at layout time for each instance, by
+    // property
+    this.reportedGridValues = new WeakMap();
+
+    // Style validation: warnings go to the reporter; strict mode throws
+    this.validation = {
+      enabled: true,
+      strict: false,
+      reporter: (warning) => console.warn(this.formatStyleWarning(warning)),
+    };
+    // Last inline style validated for each instance
+    this.validatedInlineStyles = new WeakMap();
+
+    // Parsed inline styles keyed by style string, and merged styles keyed by
+    // classes, style string, registry version and the styles that matched.
+    // The version changes whenever a class or rule is registered
+    this.parsedStyleCache = new Map();
+    this.mergedStyleCache = new Map();
+    this.styleIds = new WeakMap();
+    this.lastStyleId = 0;
+    this.registryVersion = 0;
+
+    // Named token sets exposed as custom properties to every root; the
+    // version changes whenever the active theme's tokens change
+    this.themes = new Map();
+    this.themeName = null;
+    this.themeValues = new Map();
+    this.themeVersion = 0;
+
+    // Interaction state for :hover, :active, :focus and :disabled
+    this.pointer = null; // Last pointer position in client coordinates
+    this.stateDependentInstances = new Set(); // Instances whose styles query a state
+    this.hoveredInstances = new Set();
+    this.activeInstances = new Set();
+    this.disabledInstances = new Set();
+    this.focusedInstance = null;
+    // Changes whenever states or the viewport change, for getComputedStyle
+    this.stateVersion = 0;
+
+    // Instances whose styles use @media queries, re-laid out on resize
+    this.mediaDependentInstances = new Set();
+
+    this.attachRuntimeListeners();
   }
 
   /**
-   * Register a class with its style definition
-   * @param {string} className - Name of the class
-   * @param {string} styleString - CSS-like style string
+   * Listen to runtime pointer events to track interaction states, and to
+   * resize events to re-evaluate media queries
    */
-  registerClass(className, styleString) {
-    const parsedStyle = this.parseStyle(styleString);
-    this.registeredClasses.set(className, parsedStyle);
+  attachRuntimeListeners() {
+    if (typeof this.runtime.addEventListener !== "function") return;
+
+    for (const type of [
+      "pointermove",
+      "pointerdown",
+      "pointerup",
+      "pointercancel",
+    ]) {
+      this.runtime.addEventListener(type, (e) =>
+        this.handlePointerEvent(e, type)
+      );
+    }
+
+    this.runtime.addEventListener("resize", () =>
+      this.relayoutInstances(this.mediaDependentInstances)
+    );
+
+    this.runtime.addEventListener("instancedestroy", (e) =>
+      this.forgetInstance(e.instance)
+    );
   }
 
   /**
-   * Parses CSS-like text into a style object
-   * Enhanced to support flex properties and shorthand
-   *
-   * @param {string} cssText - CSS-like text with properties
-   * @returns {Object} Object containing computed style and important properties
+   * Update hover and active states from a pointer event, re-laying out
+   * the hierarchy of every instance whose state flipped
+   * @param {Object} e - Runtime pointer event
+   * @param {string} type - Event type
    */
-  parseStyle(cssText) {
-    if (!cssText) return { computedStyle: {}, importantProperties: [] };
-
-    const computedStyle = {};
-    const importantProperties = [];
+  handlePointerEvent(e, type) {
+    this.pointer = { clientX: e.clientX, clientY: e.clientY };
 
-    // Split the input text by line breaks
-    const lines = cssText.split("\n").join(";").split(";");
-
-    for (let line of lines) {
-      // Remove any whitespace and optional semicolon
-      line = line.trim();
-      if (!line) continue;
+    const flipped = new Set();
+    const setState = (states, instance, value) => {
+      if (states.has(instance) === value) return;
 
-      if (line.endsWith(";")) {
-        line = line.slice(0, -1);
+      if (value) {
+        states.add(instance);
+      } else {
+        states.delete(instance);
       }
+      flipped.add(instance);
+    };
 
-      // Split by the first colon
-      const colonIndex = line.indexOf(":");
-      if (colonIndex === -1) continue;
+    for (const instance of this.stateDependentInstances) {
+      const isHovered = this.isPointerOver(instance);
+      setState(this.hoveredInstances, instance, isHovered);
+
+      if (type === "pointerdown") {
+        setState(
+          this.activeInstances,
+          instance,
+          isHovered && !this.isDisabled(instance)
+        );
+      } else if (type === "pointerup" || type === "pointercancel") {
+        setState(this.activeInstances, instance, false);
+      }
+    }
 
-      const property = line.substring(0, colonIndex).trim();
-      let value = line.substring(colonIndex + 1).trim();
+    this.relayoutInstances(flipped);
+  }
 
-      if (!property || !value) continue;
+  /**
+   * Check if the last known pointer position is over an instance
+   * @param {WorldInstance} instance - The instance to test
+   * @returns {boolean} True if the pointer is inside the instance
+   */
+  isPointerOver(instance) {
+    if (!this.pointer || !instance.layer) return false;
 
-      // Check for !important
-      const isImportant = value.includes("!important");
-      if (isImportant) {
-        value = value.replace(/\s*!important\s*$/, "").trim();
-        // Convert kebab-case to camelCase for the important list
-        importantProperties.push(this.kebabToCamel(property));
-      }
+    const [x, y] = instance.layer.cssPxToLayer(
+      this.pointer.clientX,
+      this.pointer.clientY
+    );
+    return instance.containsPoint(x, y);
+  }
 
-      // Convert kebab-case to camelCase if needed
-      const camelProperty = this.kebabToCamel(property);
+  /**
+   * Check if an instance is in an interaction state, remembering that its
+   * styles depend on interaction so state changes trigger a relayout
+   * @param {WorldInstance} instance - The instance to test
+   * @param {string} state - hover, active, focus or disabled
+   * @returns {boolean} True if the instance is in that state
+   */
+  matchesInteractionState(instance, state) {
+    if (!this.stateDependentInstances.has(instance)) {
+      this.stateDependentInstances.add(instance);
 
-      // Special handling for flex shorthand
-      if (camelProperty === "flex") {
-        this.parseFlexShorthand(value, computedStyle);
-        continue;
+      if (this.isPointerOver(instance)) {
+        this.hoveredInstances.add(instance);
       }
-
-      // Convert value if needed (handling numbers)
-      computedStyle[camelProperty] = this.convertValue(value);
     }
 
-    return {
-      computedStyle,
-      importantProperties,
-    };
+    switch (state) {
+      case "hover":
+        return this.hoveredInstances.has(instance);
+      case "active":
+        return this.activeInstances.has(instance);
+      case "focus":
+        return this.focusedInstance === instance;
+      case "disabled":
+        return this.isDisabled(instance);
+      default:
+        return false;
+    }
   }
 
   /**
-   * Parse flex shorthand property into individual flex properties
-   * @param {string} value - The flex shorthand value
-   * @param {Object} computedStyle - The style object to update
+   * Give an instance the :focus state
+   * @param {WorldInstance} instance - The instance to focus
+   * @returns {boolean} False if the instance is disabled and cannot be focused
    */
-  parseFlexShorthand(value, computedStyle) {
-    const parts = value.split(/\s+/);
+  focus(instance) {
+    if (this.isDisabled(instance)) return false;
+    if (this.focusedInstance === instance) return true;
+
+    const previous = this.focusedInstance;
+    this.focusedInstance = instance;
+    this.relayoutInstances([previous, instance].filter(Boolean));
+    return true;
+  }
 
-    // Handle different formats of the flex shorthand
-    if (parts.length === 1) {
-      // Single value can be either a number (flex-grow) or a keyword
-      if (parts[0] === "auto") {
-        computedStyle["flexGrow"] = 1;
-        computedStyle["flexShrink"] = 1;
-        computedStyle["flexBasis"] = "auto";
-      } else if (parts[0] === "none") {
-        computedStyle["flexGrow"] = 0;
-        computedStyle["flexShrink"] = 0;
-        computedStyle["flexBasis"] = "auto";
-      } else if (parts[0] === "initial") {
-        computedStyle["flexGrow"] = 0;
-        computedStyle["flexShrink"] = 1;
-        computedStyle["flexBasis"] = "auto";
-      } else {
-        // Assume it's a flex-grow value
-        computedStyle["flexGrow"] = this.convertValue(parts[0]);
-        computedStyle["flexShrink"] = 1;
-        computedStyle["flexBasis"] = "0";
-      }
-    } else if (parts.length === 2) {
-      // Two values: flex-grow and flex-shrink or flex-basis
-      computedStyle["flexGrow"] = this.convertValue(parts[0]);
+  /**
+   * Remove the :focus state
+   * @param {WorldInstance} [instance] - Only blur if this instance has focus
+   */
+  blur(instance) {
+    const focused = this.focusedInstance;
+    if (!focused || (instance && instance !== focused)) return;
 
-      // Check if second part is a number (flex-shrink) or has units (flex-basis)
-      if (/^\d+(\.\d+)?$/.test(parts[1])) {
-        computedStyle["flexShrink"] = this.convertValue(parts[1]);
-        computedStyle["flexBasis"] = "0";
-      } else {
-        computedStyle["flexShrink"] = 1;
-        computedStyle["flexBasis"] = parts[1];
-      }
-    } else if (parts.length >= 3) {
-      // Three values: flex-grow, flex-shrink, and flex-basis
-      computedStyle["flexGrow"] = this.convertValue(parts[0]);
-      computedStyle["flexShrink"] = this.convertValue(parts[1]);
-      computedStyle["flexBasis"] = parts[2];
-    }
+    this.focusedInstance = null;
+    this.relayoutInstances([focused]);
   }
 
   /**
-   * Converts kebab-case to camelCase (e.g., min-width → minWidth)
-   * @param {string} str - Property name to convert
-   * @returns {string} camelCase property name
+   * Get the instance that currently has focus
+   * @returns {WorldInstance|null} The focused instance
    */
-  kebabToCamel(str) {
-    return str.replace(/-([a-z])/g, (match, group) => group.toUpperCase());
+  getFocusedInstance() {
+    return this.focusedInstance;
   }
 
   /**
-   * Converts string values to appropriate types
-   * @param {string} value - Value to convert
-   * @returns {string|number} Converted value
+   * Enable or disable an instance for the :disabled state
+   * Disabled instances cannot be focused or become active
+   * @param {WorldInstance} instance - The instance
+   * @param {boolean} disabled - Whether the instance is disabled
    */
-  convertValue(value) {
-    // If it's a pure number (no units), convert to number type
-    if (/^-?\d+(\.\d+)?$/.test(value)) {
-      return parseFloat(value);
-    }
+  setDisabled(instance, disabled = true) {
+    if (this.disabledInstances.has(instance) === disabled) return;
 
-    // Special case for zero with units - just return 0
-    if (/^0(px|%|em|rem|pt|vh|vw)$/.test(value)) {
-      return 0;
+    if (disabled) {
+      this.disabledInstances.add(instance);
+      this.activeInstances.delete(instance);
+      if (this.focusedInstance === instance) this.focusedInstance = null;
+    } else {
+      this.disabledInstances.delete(instance);
     }
 
-    // Otherwise keep as string (for percentages, auto, etc.)
-    return value;
+    this.relayoutInstances([instance]);
   }
 
   /**
-   * Merges multiple style objects while respecting !important declarations
-   *
-   * @param {Array} styleObjects - Array of style objects from parseStyle
-   * @returns {Object} Final merged style object
+   * Check if an instance is disabled, through setDisabled or a "disabled"
+   * instance variable
+   * @param {WorldInstance} instance - The instance
+   * @returns {boolean} True if disabled
    */
-  mergeStyles(styleObjects) {
-    if (!styleObjects || !Array.isArray(styleObjects)) return {};
+  isDisabled(instance) {
+    return (
+      this.disabledInstances.has(instance) ||
+      instance.instVars?.disabled === true
+    );
+  }
 
-    // Track properties that have been applied with !important
-    const appliedImportantProps = new Set();
+  /**
+   * Drop all interaction state kept for a destroyed instance
+   * @param {WorldInstance} instance - The destroyed instance
+   */
+  forgetInstance(instance) {
+    this.stateDependentInstances.delete(instance);
+    this.hoveredInstances.delete(instance);
+    this.activeInstances.delete(instance);
+    this.disabledInstances.delete(instance);
+    this.mediaDependentInstances.delete(instance);
+    if (this.focusedInstance === instance) this.focusedInstance = null;
+  }
 
-    // Final computed style to apply to the node
-    const finalStyle = {};
+  /**
+   * Re-run layout for the hierarchies containing the given instances
+   * @param {Iterable<WorldInstance>} instances - Instances whose styles changed
+   */
+  relayoutInstances(instances) {
+    this.stateVersion++;
 
-    // Process each style object in order (like CSS cascade)
-    for (const styleObj of styleObjects) {
-      if (!styleObj || !styleObj.computedStyle) continue;
+    const roots = new Set();
+    for (const instance of instances) {
+      roots.add(this.getRootInstance(instance));
+    }
 
-      const { computedStyle, importantProperties = [] } = styleObj;
+    for (const root of roots) {
+      this.processInstance(root);
+    }
+  }
 
-      // Process each property in the current style
-      for (const [prop, value] of Object.entries(computedStyle)) {
-        const isCurrentPropImportant = importantProperties.includes(prop);
+  /**
+   * Get the topmost ancestor of an instance
+   * @param {WorldInstance} instance - The instance
+   * @returns {WorldInstance} The root of its hierarchy
+   */
+  getRootInstance(instance) {
+    let root = instance;
+    while (root.getParent()) {
+      root = root.getParent();
+    }
+    return root;
+  }
 
-        // Apply the property if:
-        // 1. This property hasn't been applied yet as !important, OR
-        // 2. This property is being applied with !important now
-        if (!appliedImportantProps.has(prop) || isCurrentPropImportant) {
-          finalStyle[prop] = value;
+  /**
+   * Declare cascade layers in order, from lowest to highest priority, like
+   * "@layer base, components, utilities". Layers already declared keep their
+   * position. A nested layer such as "components.buttons" ranks below the
+   * styles placed directly in its parent layer
+   * @param {...string} names - Layer names
+   */
+  defineLayers(...names) {
+    for (const name of names) {
+      if (!this.isValidLayerName(name)) {
+        throw new Error(`Invalid layer name "${name}"`);
+      }
+      if (this.layerOrder.includes(name)) continue;
 
-          // Track if we're applying this as important
-          if (isCurrentPropImportant) {
-            appliedImportantProps.add(prop);
-          }
-        }
+      const parentIndex = name.lastIndexOf(".");
+      if (parentIndex === -1) {
+        this.layerOrder.push(name);
+        continue;
       }
+
+      const parent = name.slice(0, parentIndex);
+      this.defineLayers(parent);
+      this.layerOrder.splice(this.layerOrder.indexOf(parent), 0, name);
     }
 
-    return finalStyle;
+    this.invalidateStyleCache();
   }
 
   /**
-   * Process an instance and its children following correct cascade order
-   * @param {WorldInstance} instance - The instance to process
+   * Check a layer name, e.g. "components" or "components.buttons"
+   * @param {string} name - Layer name
+   * @returns {boolean} True if the name is valid
    */
-  processInstance(instance) {
-    // 1. Calculate and apply styles to current instance
-    const styles = this.getInstanceStyles(instance);
-    this.applyStylesToInstance(instance, styles);
-
-    // 2. Get layout properties for current instance
-    const layoutProps = this.getLayoutProperties(instance);
+  isValidLayerName(name) {
+    return (
+      typeof name === "string" &&
+      /^-?[A-Za-z_][\w-]*(?:\.-?[A-Za-z_][\w-]*)*$/.test(name)
+    );
+  }
 
-    if (!instance.getParent()) {
-      layoutProps.position = "relative";
-    }
+  /**
+   * Get the position of a layer in the cascade; styles outside any layer
+   * come after every layer
+   * @param {string|null} layer - Layer name, or null for unlayered styles
+   * @returns {number} Rank, higher wins for normal declarations
+   */
+  getLayerRank(layer) {
+    return layer === null
+      ? this.layerOrder.length
+      : this.layerOrder.indexOf(layer);
+  }
 
-    // 3. Separate children into in-flow and out-of-flow
-    const children = [...instance.children()];
-    const inFlowChildren = [];
-    const outOfFlowChildren = [];
-    const percentSizedChildren = [];
+  /**
+   * Register a class with its style definition
+   * State variants are registered with pseudo-classes after the name,
+   * e.g. "primary-button:hover" or "menu-item:focus:hover". A class may be
+   * defined once per cascade layer; unlayered definitions win over layered
+   * ones regardless of the order of the classes variable
+   *
+   * @param {string} className - Name of the class
+   * @param {string} styleString - CSS-like style string
+   * @param {Object} [options] - {layer} to place the class in a cascade
+   *   layer, {source} naming the file it comes from in diagnostics, and
+   *   {line} where the style string starts in that file
+   */
+  registerClass(className, styleString, options = {}) {
+    const parsedStyle = this.parseStyle(styleString, options.line);
+    const [name, ...states] = className.split(":").map((part) => part.trim());
+    const layer = options.layer ?? null;
+    const context = { source: options.source, className };
 
-    for (const child of children) {
-      // Skip non-visible or explicitly disabled children
-      if (!child.isVisible || child.instVars?.doLayout === false) {
-        continue;
-      }
+    if (layer !== null) this.defineLayers(layer);
 
-      // Apply preliminary styles to determine positioning
-      const childStyles = this.getInstanceStyles(child);
-      child._computedStyles = childStyles;
+    if (!states.length) {
+      this.validateStyle(parsedStyle, context);
 
-      // Check if child has percentage-based sizing
-      if (this.hasPercentageSizing(childStyles)) {
-        percentSizedChildren.push(child);
-      }
+      // Replace an existing definition in the same layer
+      const entries = (this.registeredClasses.get(name) || []).filter(
+        (entry) => entry.layer !== layer
+      );
+      entries.push({ layer, style: parsedStyle });
+      this.registeredClasses.set(name, entries);
+      this.invalidateStyleCache();
+      return;
+    }
 
-      const childPosition = childStyles.position || "relative";
-      if (childPosition === "absolute" || childPosition === "anchor") {
-        outOfFlowChildren.push(child);
-      } else {
-        inFlowChildren.push(child);
+    for (const state of states) {
+      if (!UILayout.STATE_PSEUDO_CLASSES.includes(state)) {
+        throw new Error(
+          `Invalid class "${className}": unknown state ":${state}"`
+        );
       }
     }
 
-    // 4. FIRST recursively process all in-flow children to establish their base sizes
-    for (const child of inFlowChildren) {
-      this.processInstance(child);
-    }
+    this.validateStyle(parsedStyle, context);
 
-    // 5. THEN apply normal flow layout now that children are properly sized
-    if (
-      layoutProps.display &&
-      layoutProps.position !== "absolute" &&
-      layoutProps.position !== "anchor"
-    ) {
-      this.applyNormalFlowLayout(instance, layoutProps, inFlowChildren);
-    }
+    // Replace an existing variant for the same set of states and layer
+    const variants = (this.registeredClassStates.get(name) || []).filter(
+      (variant) =>
+        variant.states.join(":") !== states.join(":") || variant.layer !== layer
+    );
+    variants.push({ states, layer, style: parsedStyle });
+    this.registeredClassStates.set(name, variants);
+    this.invalidateStyleCache();
+  }
 
-    // 6. Apply fit-content sizing if needed (after children are sized)
-    if (layoutProps.fitContent) {
-      this.applyFitContentSizing(instance, layoutProps);
+  /**
+   * Drop memoized merged styles after the class or rule registry changed
+   */
+  invalidateStyleCache() {
+    this.registryVersion++;
+    this.mergedStyleCache.clear();
+  }
 
-      // 6.1 If size changed and we have percentage-sized children, reapply their sizing
-      if (percentSizedChildren.length > 0) {
-        for (const child of percentSizedChildren) {
-          // Reapply the percentage sizing now that parent dimensions are finalized
-          this.applyPercentageSizing(child);
-        }
+  /**
+   * Parse a style string, reusing the result for identical strings
+   * @param {string} styleString - CSS-like style string
+   * @returns {Object} Parsed style, shared between callers and not to be
+   *   modified
+   */
+  getParsedStyle(styleString) {
+    let parsedStyle = this.parsedStyleCache.get(styleString);
 
-        // 6.2 And reapply layout to ensure positions are correct with new sizes
-        if (
-          layoutProps.display &&
-          layoutProps.position !== "absolute" &&
-          layoutProps.position !== "anchor"
-        ) {
-          this.applyNormalFlowLayout(instance, layoutProps, inFlowChildren);
-        }
+    if (!parsedStyle) {
+      if (this.parsedStyleCache.size >= UILayout.STYLE_CACHE_LIMIT) {
+        this.parsedStyleCache.clear();
       }
 
-      // 6.3 Reapply normal flow layout if the container size changed and we have flex children
-      else if (
-        layoutProps.display &&
-        layoutProps.position !== "absolute" &&
-        layoutProps.position !== "anchor" &&
-        this.hasFlexChildren(inFlowChildren)
-      ) {
-        this.applyNormalFlowLayout(instance, layoutProps, inFlowChildren);
-      }
+      parsedStyle = this.parseStyle(styleString);
+      this.parsedStyleCache.set(styleString, parsedStyle);
     }
 
-    // 7. Process out-of-flow positioned elements AFTER regular flow
-    for (const child of outOfFlowChildren) {
-      // Process the out-of-flow child first to ensure its size is calculated
-      this.processInstance(child);
+    return parsedStyle;
+  }
 
-      // Now position it relative to its container or anchor target
-      this.applyOutOfFlowLayout(child);
+  /**
+   * Merge styles, reusing the result when the same styles matched before
+   * @param {WorldInstance} instance - The instance being styled
+   * @param {Array<Object>} styles - Parsed styles in cascade order
+   * @param {Array<number>} layerRanks - Layer rank of each style
+   * @returns {Object} Merged style, shared between callers and not to be
+   *   modified
+   */
+  getMergedStyle(instance, styles, layerRanks) {
+    // Identify each parsed style object by a number, so the key covers the
+    // matched rules, interaction states and queries as well
+    const ids = styles.map((style) => {
+      if (!this.styleIds.has(style)) {
+        this.styleIds.set(style, ++this.lastStyleId);
+      }
+      return this.styleIds.get(style);
+    });
+    const key = [
+      this.registryVersion,
+      instance.instVars?.classes || "",
+      instance.instVars?.style || "",
+      ids.join(","),
+      layerRanks.join(","),
+    ].join("\n");
+
+    let merged = this.mergedStyleCache.get(key);
+
+    if (!merged) {
+      if (this.mergedStyleCache.size >= UILayout.STYLE_CACHE_LIMIT) {
+        this.mergedStyleCache.clear();
+      }
+
+      merged = this.mergeStyles(styles, layerRanks);
+      this.mergedStyleCache.set(key, merged);
     }
+
+    return merged;
   }
 
   /**
-   * Check if any children have flex properties set
-   * @param {Array} children - Array of child instances
-   * @returns {boolean} True if any child has flex properties
+   * Add a stylesheet rule applied to every instance matching a selector
+   *
+   * Supported selectors: .class, #tag (Construct instance tag), ObjectType
+   * (object type name), *, the descendant (space) and child (>) combinators,
+   * the :first-child, :last-child and :nth-child() pseudo-classes, and the
+   * :hover, :active, :focus and :disabled interaction states.
+   * A comma-separated selector list adds one rule per selector.
+   *
+   * @param {string} selectorText - Selector or selector list
+   * @param {string} styleString - CSS-like style string
+   * @param {Object} [options] - {layer} to place the rule in a cascade
+   *   layer, {source} naming the file it comes from in diagnostics, and
+   *   {line} where the style string starts in that file
    */
-  hasFlexChildren(children) {
-    return children.some((child) => {
-      const styles = child._computedStyles || {};
-      return (
-        (styles.flexGrow && styles.flexGrow > 0) ||
-        typeof styles.flexShrink !== "undefined" ||
-        (styles.flexBasis && styles.flexBasis !== "auto")
-      );
+  addRule(selectorText, styleString, options = {}) {
+    const style = this.parseStyle(styleString, options.line);
+    const layer = options.layer ?? null;
+    const selectors = selectorText.split(",").map((part) => ({
+      text: part.trim(),
+      selector: this.parseSelector(part),
+    }));
+
+    this.validateStyle(style, {
+      source: options.source,
+      selector: selectorText.trim(),
     });
+    if (layer !== null) this.defineLayers(layer);
+
+    for (const { text, selector } of selectors) {
+      this.registeredRules.push({
+        selectorText: text,
+        selector,
+        specificity: this.getSpecificity(selector),
+        layer,
+        style,
+      });
+    }
+
+    this.invalidateStyleCache();
   }
 
   /**
-   * Get styles for an instance based on its inline style and classes
-   * @param {WorldInstance} instance - The instance to get styles for
-   * @returns {Object} Merged style object
+   * Load a stylesheet from a project file and register all of its rules
+   * @param {string} url - Project file URL, e.g. "ui.css"
+   * @returns {Promise<Object>} Result of registerStylesheet
    */
-  getInstanceStyles(instance) {
-    const stylesToMerge = [];
+  async loadStylesheet(url) {
+    const cssText = await this.runtime.assets.fetchText(url);
+    return this.registerStylesheet(cssText, url);
+  }
 
-    // Get classes from instance variables
-    const classString = instance.instVars?.classes || "";
-    const classes = classString.split(" ").filter((c) => c.trim());
+  /**
+   * Parse a full stylesheet and register every rule in it
+   *
+   * Rules whose selector is a single class (optionally with state
+   * pseudo-classes, e.g. ".button:hover") are registered as classes; several
+   * rules for the same class are combined in order. Any other selector is
+   * added with addRule. Top-level @media/@container blocks may wrap rules,
+   * and @layer blocks and "@layer a, b;" statements place them in cascade
+   * layers. Rules with errors are skipped and passed to the validation
+   * reporter with their line and column.
+   *
+   * @param {string} cssText - Stylesheet text
+   * @param {string} [source] - Name of the stylesheet, used in error messages
+   * @returns {Object} {ruleCount, errors} where each error is
+   *   {message, line, column, source}
+   */
+  registerStylesheet(cssText, source = "stylesheet") {
+    const {
+      rules,
+      layers,
+      errors: syntaxErrors,
+    } = this.parseStylesheet(cssText);
+    const errors = syntaxErrors.map((error) => ({ ...error, source }));
+
+    // Layers are ordered by their first appearance in the stylesheet
+    this.defineLayers(...layers);
+    const reportError = (message, index) => {
+      const { line, column } = this.getLineColumn(cssText, index);
+      errors.push({ message, line, column, source });
+    };
+    // Strict validation errors already know the line of the declaration,
+    // and were reported when validated
+    const reported = new Set();
+    const reportFailure = (error, index) => {
+      if (!error.warning) return reportError(error.message, index);
+      const { message, line } = error.warning;
+      const entry = { message, line, column: 1, source };
+      errors.push(entry);
+      reported.add(entry);
+    };
 
-    // Add styles from each class
-    for (const className of classes) {
-      if (this.registeredClasses.has(className)) {
-        stylesToMerge.push(this.registeredClasses.get(className));
-      }
-    }
+    const stripped = this.stripComments(cssText);
+    const classRanges = new Map();
+    let ruleCount = 0;
 
-    // Add inline style if present
-    const inlineStyle = instance.instVars?.style || "";
-    if (inlineStyle) {
-      stylesToMerge.push(this.parseStyle(inlineStyle));
+    // Indexes of the line breaks, to find the line of an index quickly
+    const lineBreaks = [];
+    for (let i = stripped.indexOf("\n"); i !== -1;) {
+      lineBreaks.push(i);
+      i = stripped.indexOf("\n", i + 1);
     }
+    const getLine = (index) => {
+      let low = 0;
+      let high = lineBreaks.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (lineBreaks[middle] < index) low = middle + 1;
+        else high = middle;
+      }
+      return low + 1;
+    };
 
-    // Merge all styles
-    return this.mergeStyles(stylesToMerge);
-  }
+    // Join the text of the ranges, with the line breaks between them, and
+    // the line the result starts at
+    const getRangesText = (ranges) => {
+      const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+      let text = "";
+      let previousEnd = sorted[0][0];
+      for (const [start, end] of sorted) {
+        text +=
+          "\n".repeat(getLine(start) - getLine(previousEnd)) +
+          " " +
+          stripped.slice(start, end);
+        previousEnd = end;
+      }
+      return { text, line: getLine(sorted[0][0]) };
+    };
 
-  /**
-   * Check if an element has percentage-based sizing
-   * @param {Object} styles - Element styles
-   * @returns {boolean} True if element has percentage sizing
-   */
-  hasPercentageSizing(styles) {
-    // Check for percentWidth/percentHeight properties
-    if ("percentWidth" in styles || "percentHeight" in styles) {
-      return true;
-    }
+    for (const rule of rules) {
+      // Register the rule body with its enclosing at-rule preludes, starting
+      // at the stylesheet line of the first one
+      const ranges = [[rule.bodyStart, rule.bodyEnd]];
+      for (const atRule of rule.atRules) {
+        ranges.push(
+          [atRule.start, atRule.bodyStart],
+          [atRule.end, atRule.end + 1]
+        );
+      }
 
-    // Check for width/height with percentage strings
-    if (
-      styles.width &&
-      typeof styles.width === "string" &&
-      styles.width.endsWith("%")
-    ) {
-      return true;
+      for (const selectorPart of rule.selectorText.split(",")) {
+        const selectorText = selectorPart.trim();
+
+        try {
+          this.parseSelector(selectorText);
+        } catch (error) {
+          reportError(error.message, rule.start);
+          continue;
+        }
+
+        const classMatch = /^\.(-?[A-Za-z_][\w-]*)((?::[a-z-]+)*)$/.exec(
+          selectorText
+        );
+        const isClass =
+          classMatch &&
+          classMatch[2]
+            .split(":")
+            .slice(1)
+            .every((state) => UILayout.STATE_PSEUDO_CLASSES.includes(state));
+
+        if (isClass) {
+          const className = classMatch[1] + classMatch[2];
+          const key = `${rule.layer ?? ""} ${className}`;
+          if (!classRanges.has(key)) {
+            classRanges.set(key, {
+              className,
+              layer: rule.layer,
+              ranges: [],
+              start: rule.start,
+            });
+          }
+          classRanges.get(key).ranges.push(...ranges);
+          continue;
+        }
+
+        try {
+          const { text, line } = getRangesText(ranges);
+          this.addRule(selectorText, text, {
+            source,
+            layer: rule.layer,
+            line,
+          });
+          ruleCount++;
+        } catch (error) {
+          reportFailure(error, rule.start);
+        }
+      }
     }
 
-    if (
-      styles.height &&
-      typeof styles.height === "string" &&
-      styles.height.endsWith("%")
-    ) {
-      return true;
+    for (const { className, layer, ranges, start } of classRanges.values()) {
+      try {
+        const { text, line } = getRangesText(ranges);
+        this.registerClass(className, text, { source, layer, line });
+        ruleCount++;
+      } catch (error) {
+        reportFailure(error, start);
+      }
     }
 
-    // Check for flex-basis with percentage
-    if (
-      styles.flexBasis &&
-      typeof styles.flexBasis === "string" &&
-      styles.flexBasis.endsWith("%")
-    ) {
-      return true;
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    for (const error of errors) {
+      if (!reported.has(error)) this.validation.reporter(error);
     }
 
-    return false;
+    return { ruleCount, errors };
   }
 
   /**
-   * Apply percentage-based sizing to an element
-   * @param {WorldInstance} instance - The instance to size
+   * Split a stylesheet into rules
+   * @param {string} cssText - Stylesheet text
+   * @returns {Object} {rules, layers, errors}; each rule records its selector
+   *   text, start index, body range, enclosing at-rules and cascade layer,
+   *   and layers lists layer names in order of first appearance
    */
-  applyPercentageSizing(instance) {
-    if (!instance._computedStyles || !instance.getParent()) {
-      return;
-    }
+  parseStylesheet(cssText) {
+    const text = this.stripComments(cssText);
+    const rules = [];
+    const layers = [];
+    const errors = [];
+    const reportError = (message, index) => {
+      errors.push({ message, ...this.getLineColumn(cssText, index) });
+    };
 
-    const styles = instance._computedStyles;
-    const parent = instance.getParent();
-    const parentBoxModel = this.getBoxModel(parent);
-    const isHorizontal = styles.display === "horizontal";
-    const isVertical = styles.display === "vertical" || !styles.display;
+    // Layer names are relative to the enclosing layer
+    const declareLayer = (name, parentLayer, index) => {
+      const fullName = parentLayer ? `${parentLayer}.${name}` : name;
+      if (!this.isValidLayerName(name)) {
+        reportError(`Invalid layer name "${name}"`, index);
+        return null;
+      }
+      if (!layers.includes(fullName)) layers.push(fullName);
+      return fullName;
+    };
 
-    // Apply width percentages if present
-    if (
-      "percentWidth" in styles ||
-      (styles.width &&
-        typeof styles.width === "string" &&
-        styles.width.endsWith("%"))
-    ) {
-      const percentValue =
-        "percentWidth" in styles
-          ? styles.percentWidth
-          : parseFloat(styles.width) || 0;
+    const scan = (position, end, atRules, layer) => {
+      while (position < end) {
+        // Skip whitespace before the next rule
+        while (position < end && /\s/.test(text[position])) position++;
+        if (position >= end) break;
+
+        if (text[position] === "}") {
+          reportError('Unexpected "}"', position);
+          position++;
+          continue;
+        }
+
+        // The prelude runs up to the opening brace
+        const delimiter = text.slice(position, end).search(/[{};]/);
+        const braceIndex = delimiter === -1 ? end : position + delimiter;
+        const prelude = text.slice(position, braceIndex).trim();
+
+        // "@layer a, b;" only declares the order of layers
+        if (text[braceIndex] === ";" && /^@layer\b/.test(prelude)) {
+          for (const name of prelude.slice(6).split(",")) {
+            declareLayer(name.trim(), layer, position);
+          }
+          position = braceIndex + 1;
+          continue;
+        }
 
-      if (percentValue > 0) {
-        const availableWidth =
-          parent.width -
-          parentBoxModel.padding.left -
-          parentBoxModel.padding.right -
-          parentBoxModel.border.left -
-          parentBoxModel.border.right;
+        if (text[braceIndex] !== "{") {
+          reportError(
+            prelude
+              ? `Expected "{" after "${prelude}"`
+              : `Unexpected "${text[braceIndex]}"`,
+            position
+          );
+          position = text[braceIndex] === ";" ? braceIndex + 1 : braceIndex;
+          continue;
+        }
+
+        const bodyStart = braceIndex + 1;
+        let bodyEnd = this.findClosingBrace(text, bodyStart);
+        const terminated = bodyEnd !== -1 && bodyEnd <= end;
+        if (!terminated) {
+          reportError("Unterminated block", braceIndex);
+          bodyEnd = end;
+        }
 
-        instance.width = (availableWidth * percentValue) / 100;
+        if (/^@(media|container)\b/.test(prelude)) {
+          scan(
+            bodyStart,
+            bodyEnd,
+            [...atRules, { start: position, bodyStart, end: bodyEnd }],
+            layer
+          );
+        } else if (/^@layer\b/.test(prelude)) {
+          const name = prelude.slice(6).trim();
+          const fullName = name
+            ? declareLayer(name, layer, position)
+            : reportError("Expected a layer name", position);
+          if (fullName) scan(bodyStart, bodyEnd, atRules, fullName);
+        } else if (prelude.startsWith("@")) {
+          reportError(`Unknown at-rule "${prelude.split(/\s/)[0]}"`, position);
+        } else if (!prelude) {
+          reportError("Missing selector", braceIndex);
+        } else if (terminated) {
+          // Unterminated rules are skipped like other rules with errors
+          rules.push({
+            selectorText: prelude,
+            start: position,
+            bodyStart,
+            bodyEnd,
+            atRules,
+            layer,
+          });
+        }
+
+        position = bodyEnd + 1;
       }
-    }
+    };
 
-    // Apply height percentages if present
-    if (
-      "percentHeight" in styles ||
-      (styles.height &&
-        typeof styles.height === "string" &&
-        styles.height.endsWith("%"))
-    ) {
-      const percentValue =
-        "percentHeight" in styles
-          ? styles.percentHeight
-          : parseFloat(styles.height) || 0;
+    scan(0, text.length, [], null);
+    return { rules, layers, errors };
+  }
+
+  /**
+   * Replace /* comments *\/ with spaces, keeping line breaks and offsets
+   * @param {string} cssText - Source text
+   * @returns {string} Text without comments
+   */
+  stripComments(cssText) {
+    return cssText.replace(/\/\*[\s\S]*?\*\//g, (comment) =>
+      comment.replace(/[^\n]/g, " ")
+    );
+  }
 
-      if (percentValue > 0) {
-        const availableHeight =
-          parent.height -
-          parentBoxModel.padding.top -
-          parentBoxModel.padding.bottom -
-          parentBoxModel.border.top -
-          parentBoxModel.border.bottom;
+  /**
+   * Convert an index in a text into a 1-based line and column
+   * @param {string} text - Source text
+   * @param {number} index - Character index
+   * @returns {Object} {line, column}
+   */
+  getLineColumn(text, index) {
+    const before = text.slice(0, index);
+    const line = before.split("\n").length;
+    return { line, column: index - before.lastIndexOf("\n") };
+  }
 
-        instance.height = (availableHeight * percentValue) / 100;
+  /**
+   * Parse a selector into compound selectors, from outermost to innermost
+   * Each compound records the combinator linking it to the previous one
+   *
+   * @param {string} selectorText - A single selector (no commas)
+   * @returns {Array<Object>} Compound selectors
+   */
+  parseSelector(selectorText) {
+    const source = selectorText.trim();
+    const invalid = (reason) =>
+      new Error(`Invalid selector "${source}": ${reason}`);
+
+    if (!source) throw invalid("empty selector");
+
+    const pattern =
+      /(\s*>\s*|\s+)|([.#]?)(-?[A-Za-z_][\w-]*)|(\*)|:([a-z-]+)(?:\(([^)]*)\))?/y;
+    const compounds = [];
+    let compound = null;
+    let combinator = null;
+    let index = 0;
+
+    while (index < source.length) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) throw invalid(`unexpected "${source[index]}" at ${index}`);
+      index = pattern.lastIndex;
+
+      // Combinator between two compound selectors
+      if (match[1] !== undefined) {
+        if (!compound) throw invalid("combinator without a left-hand side");
+
+        compounds.push(compound);
+        compound = null;
+        combinator = match[1].trim() === ">" ? "child" : "descendant";
+        continue;
       }
-    }
 
-    // Apply flex-basis percentages if appropriate for the main axis
-    if (
-      styles.flexBasis &&
-      typeof styles.flexBasis === "string" &&
-      styles.flexBasis.endsWith("%")
-    ) {
-      const percentValue = parseFloat(styles.flexBasis) || 0;
+      if (!compound) {
+        compound = {
+          combinator,
+          type: null,
+          tags: [],
+          classes: [],
+          pseudoClasses: [],
+        };
+        combinator = null;
+      }
 
-      if (percentValue > 0) {
-        if (isHorizontal) {
-          const availableWidth =
-            parent.width -
-            parentBoxModel.padding.left -
-            parentBoxModel.padding.right -
-            parentBoxModel.border.left -
-            parentBoxModel.border.right;
-
-          instance.width = (availableWidth * percentValue) / 100;
-        } else if (isVertical) {
-          const availableHeight =
-            parent.height -
-            parentBoxModel.padding.top -
-            parentBoxModel.padding.bottom -
-            parentBoxModel.border.top -
-            parentBoxModel.border.bottom;
-
-          instance.height = (availableHeight * percentValue) / 100;
+      if (match[3] !== undefined) {
+        if (match[2] === ".") {
+          compound.classes.push(match[3]);
+        } else if (match[2] === "#") {
+          compound.tags.push(match[3]);
+        } else if (compound.type || compound.classes.length) {
+          throw invalid(`unexpected type "${match[3]}"`);
+        } else {
+          compound.type = match[3];
         }
+      } else if (match[5] !== undefined) {
+        compound.pseudoClasses.push(
+          this.parsePseudoClass(match[5], match[6], invalid)
+        );
       }
+      // "*" matches everything and adds no constraint
     }
 
-    // Apply min/max constraints
-    this.applyMinMaxConstraints(instance, styles);
+    if (!compound) throw invalid("dangling combinator");
+    compounds.push(compound);
+
+    return compounds;
   }
 
   /**
-   * Apply min/max constraints to an instance
-   * @param {WorldInstance} instance - The instance to constrain
-   * @param {Object} styles - Style object with constraints
-   * @returns {Object} Info about which constraints were applied
+   * Parse a pseudo-class and its argument
+   * @param {string} name - Pseudo-class name without the colon
+   * @param {string|undefined} argument - Text between the parentheses
+   * @param {Function} invalid - Creates the error to throw
+   * @returns {Object} Pseudo-class descriptor
    */
-  applyMinMaxConstraints(instance, styles) {
-    const constraints = {
-      minWidth: styles.minWidth,
-      maxWidth: styles.maxWidth,
-      minHeight: styles.minHeight,
-      maxHeight: styles.maxHeight,
-    };
+  parsePseudoClass(name, argument, invalid) {
+    switch (name) {
+      case "first-child":
+      case "last-child":
+      case "hover":
+      case "active":
+      case "focus":
+      case "disabled":
+        return { name };
+
+      case "nth-child": {
+        const formula = (argument || "").replace(/\s+/g, "").toLowerCase();
+        if (formula === "odd") return { name, a: 2, b: 1 };
+        if (formula === "even") return { name, a: 2, b: 0 };
+
+        const match = /^(?:([+-]?\d*)n)?([+-]?\d+)?$/.exec(formula);
+        if (!formula || !match) {
+          throw invalid(`invalid :nth-child(${argument || ""})`);
+        }
 
-    let widthConstrained = false;
-    let heightConstrained = false;
+        let a = 0;
+        if (match[1] !== undefined) {
+          a =
+            match[1] === "" || match[1] === "+"
+              ? 1
+              : match[1] === "-"
+                ? -1
+                : parseInt(match[1], 10);
+        }
+        const b = match[2] !== undefined ? parseInt(match[2], 10) : 0;
+        return { name, a, b };
+      }
 
-    // Apply min width constraint
-    if (
-      constraints.minWidth !== undefined &&
-      instance.width < constraints.minWidth
-    ) {
-      instance.width = constraints.minWidth;
-      widthConstrained = true;
+      default:
+        throw invalid(`unknown pseudo-class ":${name}"`);
     }
+  }
 
-    // Apply max width constraint
-    if (
-      constraints.maxWidth !== undefined &&
-      instance.width > constraints.maxWidth
-    ) {
-      instance.width = constraints.maxWidth;
-      widthConstrained = true;
+  /**
+   * Compute the specificity of a parsed selector
+   * Instance tags count like CSS ids, classes and pseudo-classes like CSS
+   * classes, and object types like CSS type selectors
+   *
+   * @param {Array<Object>} selector - Parsed selector
+   * @returns {Array<number>} [tags, classes, types]
+   */
+  getSpecificity(selector) {
+    const specificity = [0, 0, 0];
+
+    for (const compound of selector) {
+      specificity[0] += compound.tags.length;
+      specificity[1] += compound.classes.length + compound.pseudoClasses.length;
+      specificity[2] += compound.type ? 1 : 0;
     }
 
-    // Apply min height constraint
-    if (
-      constraints.minHeight !== undefined &&
-      instance.height < constraints.minHeight
-    ) {
-      instance.height = constraints.minHeight;
-      heightConstrained = true;
+    return specificity;
+  }
+
+  /**
+   * Compare two specificities
+   * @param {Array<number>} a - First specificity
+   * @param {Array<number>} b - Second specificity
+   * @returns {number} Negative if a is less specific, positive if more, 0 if equal
+   */
+  compareSpecificity(a, b) {
+    for (let i = 0; i < 3; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+  }
+
+  /**
+   * Check if an instance matches a parsed selector, from right to left
+   * @param {WorldInstance} instance - The instance to test
+   * @param {Array<Object>} selector - Parsed selector
+   * @param {number} index - Index of the compound to match against instance
+   * @returns {boolean} True if the instance matches
+   */
+  matchesSelector(instance, selector, index = selector.length - 1) {
+    const compound = selector[index];
+    if (!this.matchesCompound(instance, compound)) return false;
+    if (index === 0) return true;
+
+    let ancestor = instance.getParent();
+
+    if (compound.combinator === "child") {
+      return !!ancestor && this.matchesSelector(ancestor, selector, index - 1);
     }
 
-    // Apply max height constraint
-    if (
-      constraints.maxHeight !== undefined &&
-      instance.height > constraints.maxHeight
-    ) {
-      instance.height = constraints.maxHeight;
-      heightConstrained = true;
+    while (ancestor) {
+      if (this.matchesSelector(ancestor, selector, index - 1)) return true;
+      ancestor = ancestor.getParent();
     }
 
-    return { widthConstrained, heightConstrained };
+    return false;
   }
 
   /**
-   * Get computed layout properties from styles
-   * @param {WorldInstance} instance - The instance to get layout properties for
-   * @returns {Object} Layout properties
+   * Check if an instance matches a single compound selector
+   * @param {WorldInstance} instance - The instance to test
+   * @param {Object} compound - Compound selector
+   * @returns {boolean} True if every part of the compound matches
    */
-  getLayoutProperties(instance) {
-    if (!instance._computedStyles) {
-      const styles = this.getInstanceStyles(instance);
-      instance._computedStyles = styles;
+  matchesCompound(instance, compound) {
+    if (compound.type && instance.objectType?.name !== compound.type) {
+      return false;
     }
 
-    const styles = instance._computedStyles;
+    if (!compound.tags.every((tag) => instance.hasTags(tag))) {
+      return false;
+    }
 
-    return {
-      display: styles.display || "vertical", // vertical, horizontal, grid
-      position: styles.position || "relative", // relative, absolute, anchor
-      gap: styles.gap || 0,
-      padding: styles.padding || 0,
-      alignItems: styles.alignItems || styles.alignment || "start", // start, center, end
-      justifyContent: styles.justifyContent || "start", // start, center, end, space-between, space-around
-      columns: styles.columns || 2,
-      fitContent: styles.fitContent || false,
-      top: styles.top,
-      right: styles.right,
-      bottom: styles.bottom,
-      left: styles.left,
-      // Anchor positioning properties
-      anchorTarget: styles.anchorTarget, // ID or instance reference
-      anchorPoint: styles.anchorPoint || "center", // Anchor point on target
-      selfAnchor: styles.selfAnchor || "center", // Anchor point on self
-      anchorOffsetX: styles.anchorOffsetX || 0,
-      anchorOffsetY: styles.anchorOffsetY || 0,
-    };
+    if (compound.classes.length) {
+      const classes = this.getInstanceClasses(instance);
+      if (!compound.classes.every((name) => classes.includes(name))) {
+        return false;
+      }
+    }
+
+    return compound.pseudoClasses.every((pseudoClass) =>
+      this.matchesPseudoClass(instance, pseudoClass)
+    );
   }
 
   /**
-   * Apply normal flow layout (static/relative positioning)
-   * @param {WorldInstance} instance - The instance to layout
-   * @param {Object} layoutProps - Layout properties
-   * @param {Array} children - Children to layout (optional, if already filtered)
+   * Check if an instance matches a pseudo-class
+   * @param {WorldInstance} instance - The instance to test
+   * @param {Object} pseudoClass - Pseudo-class descriptor from parsePseudoClass
+   * @returns {boolean} True if the pseudo-class applies
    */
-  applyNormalFlowLayout(instance, layoutProps, children) {
-    // Use provided children or get them if not provided
-    const layoutChildren = children || this.getLayoutChildren(instance);
+  matchesPseudoClass(instance, pseudoClass) {
+    if (UILayout.STATE_PSEUDO_CLASSES.includes(pseudoClass.name)) {
+      return this.matchesInteractionState(instance, pseudoClass.name);
+    }
 
-    switch (layoutProps.display) {
-      case "vertical":
-        this.layoutVertical(instance, layoutProps, layoutChildren);
-        break;
-      case "horizontal":
-        this.layoutHorizontal(instance, layoutProps, layoutChildren);
-        break;
-      case "grid":
-        this.layoutGrid(instance, layoutProps, layoutChildren);
-        break;
+    const parent = instance.getParent();
+    const siblings = parent ? [...parent.children()] : [instance];
+    const position = siblings.indexOf(instance) + 1;
+
+    switch (pseudoClass.name) {
+      case "first-child":
+        return position === 1;
+      case "last-child":
+        return position === siblings.length;
+      case "nth-child": {
+        const { a, b } = pseudoClass;
+        if (a === 0) return position === b;
+        const n = (position - b) / a;
+        return Number.isInteger(n) && n >= 0;
+      }
+      default:
+        return false;
     }
   }
 
   /**
-   * Apply fit-content sizing to a container based on its children
-   * @param {WorldInstance} instance - The container to apply fit-content to
-   * @param {Object} layoutProps - Layout properties
+   * Define or replace a named theme. Tokens are available to every class,
+   * rule and inline style as custom properties, e.g. tokens
+   * {"accent-color": "#f80"} are read with var(--accent-color)
+   * @param {string} name - Theme name
+   * @param {Object} tokens - Token values by name, with or without the
+   *   leading "--"; values may reference other tokens with var()
    */
-  applyFitContentSizing(instance, layoutProps) {
-    const children = this.getLayoutChildren(instance);
-    const containerBoxModel = this.getBoxModel(instance);
+  defineTheme(name, tokens) {
+    const normalized = new Map();
+    for (const [token, value] of Object.entries(tokens)) {
+      normalized.set(
+        token.startsWith("--") ? token : "--" + token,
+        String(value).trim()
+      );
+    }
 
-    // Different sizing logic based on display type
-    switch (layoutProps.display) {
-      case "vertical":
-        // Calculate total height and max width
-        let totalHeightVertical =
-          containerBoxModel.padding.top + containerBoxModel.padding.bottom;
-        let maxWidth = 0;
+    this.themes.set(name, normalized);
+    if (this.themeName === name) this.setTheme(name);
+  }
 
-        children.forEach((child, index) => {
-          totalHeightVertical += this.getOuterHeight(child);
-          if (index < children.length - 1) {
-            totalHeightVertical += layoutProps.gap;
-          }
-          maxWidth = Math.max(maxWidth, this.getOuterWidth(child));
-        });
+  /**
+   * Switch the active theme. Styles using its tokens are re-resolved on the
+   * next layout pass
+   * @param {string|null} name - Name of a defined theme, or null for none
+   */
+  setTheme(name) {
+    if (name !== null && !this.themes.has(name)) {
+      throw new Error(`Unknown theme "${name}"`);
+    }
 
-        // Apply new dimensions
+    // Resolve tokens that reference each other; cycles leave them undefined
+    const tokens = this.themes.get(name) || new Map();
+    const values = new Map();
+    const resolving = new Set();
+    const lookup = (token) => {
+      if (!values.has(token) && tokens.has(token) && !resolving.has(token)) {
+        resolving.add(token);
+        values.set(token, this.substituteVariables(tokens.get(token), lookup));
+        resolving.delete(token);
+      }
+      return values.get(token);
+    };
+
+    this.themeValues = new Map();
+    for (const token of tokens.keys()) {
+      const value = lookup(token);
+      if (value !== undefined) this.themeValues.set(token, value);
+    }
+
+    this.themeName = name;
+    this.themeVersion++;
+  }
+
+  /**
+   * Get the name of the active theme
+   * @returns {string|null} Theme name, or null if none is active
+   */
+  getTheme() {
+    return this.themeName;
+  }
+
+  /**
+   * Get the class names listed in an instance's classes variable
+   * @param {WorldInstance} instance - The instance
+   * @returns {Array<string>} Class names in declaration order
+   */
+  getInstanceClasses(instance) {
+    const classString = instance.instVars?.classes || "";
+    return classString.split(" ").filter((c) => c.trim());
+  }
+
+  /**
+   * Check if an instance's classes variable lists a class
+   * @param {WorldInstance} instance - The instance
+   * @param {string} className - Class name
+   * @returns {boolean} True if the instance has the class
+   */
+  hasClass(instance, className) {
+    return this.getInstanceClasses(instance).includes(className);
+  }
+
+  /**
+   * Add a class to an instance, unless it already has it
+   * @param {WorldInstance} instance - The instance
+   * @param {string} className - Class name
+   */
+  addClass(instance, className) {
+    const classes = this.getInstanceClasses(instance);
+    if (classes.includes(className)) return;
+
+    this.setInstanceClasses(instance, [...classes, className]);
+  }
+
+  /**
+   * Remove a class from an instance
+   * @param {WorldInstance} instance - The instance
+   * @param {string} className - Class name
+   */
+  removeClass(instance, className) {
+    const classes = this.getInstanceClasses(instance);
+    if (!classes.includes(className)) return;
+
+    this.setInstanceClasses(
+      instance,
+      classes.filter((name) => name !== className)
+    );
+  }
+
+  /**
+   * Add a class if the instance lacks it, remove it otherwise
+   * @param {WorldInstance} instance - The instance
+   * @param {string} className - Class name
+   * @param {boolean} [force] - Add if true, remove if false
+   * @returns {boolean} Whether the instance has the class afterwards
+   */
+  toggleClass(instance, className, force) {
+    const add = force ?? !this.hasClass(instance, className);
+
+    if (add) {
+      this.addClass(instance, className);
+    } else {
+      this.removeClass(instance, className);
+    }
+
+    return add;
+  }
+
+  /**
+   * Write a normalized class list back to an instance. Instances without
+   * the classes and style instance variables are skipped
+   * @param {WorldInstance} instance - The instance
+   * @param {Array<string>} classes - Class names in order
+   */
+  setInstanceClasses(instance, classes) {
+    if (!instance.instVars) return;
+
+    // Drop duplicates while keeping the first occurrence's position
+    instance.instVars.classes = [...new Set(classes)].join(" ");
+    this.markNeedsLayout(instance);
+  }
+
+  /**
+   * Set or remove a declaration in an instance's inline style. Other
+   * declarations, comments and @media/@container blocks are kept as written
+   * @param {WorldInstance} instance - The instance
+   * @param {string} property - Property name, kebab-case or camelCase
+   * @param {string|number|null} value - New value; null, undefined or ""
+   *   removes the declaration. Instances without the classes and style
+   *   instance variables are skipped
+   */
+  setStyleProperty(instance, property, value) {
+    if (!instance.instVars) return;
+
+    const name = property.startsWith("--")
+      ? property
+      : this.camelToKebab(property);
+    const camelName = this.kebabToCamel(name);
+
+    // Keep everything except top-level declarations of this property
+    const segments = this.splitStyleSegments(instance.instVars?.style || "");
+    const kept = segments.filter((segment) => {
+      const colonIndex = segment.indexOf(":");
+      if (colonIndex === -1 || segment.includes("{")) return true;
+
+      const declared = this.stripComments(segment.slice(0, colonIndex)).trim();
+      return (
+        declared !== name &&
+        (declared.startsWith("--") || this.kebabToCamel(declared) !== camelName)
+      );
+    });
+
+    if (value !== null && value !== undefined && value !== "") {
+      kept.push(`${name}: ${value}`);
+    }
+
+    instance.instVars.style = kept.join("\n");
+    this.markNeedsLayout(instance);
+  }
+
+  /**
+   * Split a style string into top-level declarations and nested blocks,
+   * dropping empty ones
+   * @param {string} styleString - CSS-like style string
+   * @returns {Array<string>} Trimmed segments in order
+   */
+  splitStyleSegments(styleString) {
+    const segments = [];
+    let depth = 0;
+    let start = 0;
+
+    const push = (end, next) => {
+      const segment = styleString.slice(start, end).trim();
+      if (segment) segments.push(segment);
+      start = next;
+    };
+
+    for (let i = 0; i < styleString.length; i++) {
+      const char = styleString[i];
+
+      if (char === "{") {
+        depth++;
+      } else if (char === "}") {
+        depth = Math.max(0, depth - 1);
+        // A closing brace ends its block, keeping the brace
+        if (!depth) push(i + 1, i + 1);
+      } else if (!depth && (char === ";" || char === "\n")) {
+        push(i, i + 1);
+      }
+    }
+    push(styleString.length);
+
+    return segments;
+  }
+
+  /**
+   * Mark an instance and its descendants as needing layout after their
+   * classes or style changed
+   * @param {WorldInstance} instance - The changed instance
+   */
+  markNeedsLayout(instance) {
+    instance._needsLayout = true;
+    for (const child of instance.children()) {
+      this.markNeedsLayout(child);
+    }
+  }
+
+  /**
+   * Check if an instance changed since it was last laid out
+   * @param {WorldInstance} instance - The instance
+   * @returns {boolean} True if it needs layout
+   */
+  needsLayout(instance) {
+    return !!instance._needsLayout;
+  }
+
+  /**
+   * Get the computed style of an instance. The result is kept until the
+   * instance's classes or style, the registry, the theme, interaction
+   * states or the parent's computed style change
+   * @param {WorldInstance} instance - The instance
+   * @returns {Object} Computed style object
+   */
+  getComputedStyle(instance) {
+    // Custom properties inherit from the parent, so bring it up to date
+    const parent = instance.getParent();
+    const parentStyle = parent ? this.getComputedStyle(parent) : null;
+    const key = [
+      this.registryVersion,
+      this.themeVersion,
+      this.stateVersion,
+      instance.instVars?.classes,
+      instance.instVars?.style,
+    ].join("\n");
+
+    const cached = instance._computedStyleCache;
+    if (cached?.key === key && cached.parentStyle === parentStyle) {
+      return cached.style;
+    }
+
+    instance._computedStyles = this.getInstanceStyles(instance);
+    instance._computedStyleCache = {
+      key,
+      parentStyle,
+      style: instance._computedStyles,
+    };
+    return instance._computedStyles;
+  }
+
+  /**
+   * Parses CSS-like text into a style object
+   * Enhanced to support flex properties and shorthand, and nested
+   * @media/@container blocks applied when their query matches
+   *
+   * @param {string} cssText - CSS-like text with properties
+   * @param {number} [firstLine] - Line number of the text's first line in its
+   *   source, for the line numbers of declarations
+   * @returns {Object} Object containing computed style, important properties,
+   *   conditional styles, the declarations as written (with line numbers)
+   *   and the conditional blocks dropped for an invalid query
+   */
+  parseStyle(cssText, firstLine = 1) {
+    if (!cssText) {
+      return {
+        computedStyle: {},
+        importantProperties: [],
+        conditionalStyles: [],
+        declarations: [],
+        invalidQueries: [],
+      };
+    }
+
+    const computedStyle = {};
+    const importantProperties = [];
+    const conditionalStyles = [];
+    const declarations = [];
+    const invalidQueries = [];
+
+    // Pull out comments and conditional blocks, then split the rest by line
+    // breaks and semicolons, remembering the line of each declaration
+    const text = this.extractConditionalBlocks(
+      this.stripComments(cssText),
+      conditionalStyles,
+      firstLine,
+      invalidQueries
+    );
+    const lines = text
+      .split("\n")
+      .flatMap((lineText, index) =>
+        lineText
+          .split(";")
+          .map((part) => ({ part, lineNumber: firstLine + index }))
+      );
+
+    for (let { part: line, lineNumber } of lines) {
+      // Remove any whitespace and optional semicolon
+      line = line.trim();
+      if (!line) continue;
+
+      if (line.endsWith(";")) {
+        line = line.slice(0, -1);
+      }
+
+      // Split by the first colon
+      const colonIndex = line.indexOf(":");
+      if (colonIndex === -1) continue;
+
+      const property = line.substring(0, colonIndex).trim();
+      let value = line.substring(colonIndex + 1).trim();
+
+      if (!property || !value) continue;
+
+      // Convert kebab-case to camelCase if needed
+      // Custom properties (--name) keep their name as written
+      const camelProperty = property.startsWith("--")
+        ? property
+        : this.kebabToCamel(property);
+
+      // Check for !important
+      const isImportant = value.includes("!important");
+      if (isImportant) {
+        value = value.replace(/\s*!important\s*$/, "").trim();
+        importantProperties.push(camelProperty);
+      }
+
+      // Keep the declaration as written for validation
+      declarations.push({
+        name: property,
+        property: camelProperty,
+        value,
+        line: lineNumber,
+      });
+
+      // Expand shorthands into their longhands so later declarations
+      // override earlier ones side by side, like the CSS cascade
+      let expanded;
+      if (camelProperty.startsWith("--")) {
+        // Custom properties keep their raw value until substituted by var()
+        expanded = { [camelProperty]: value };
+      } else if (this.hasVariableReference(value)) {
+        // The number of values is unknown until var() is substituted
+        expanded = this.deferShorthand(camelProperty, value);
+      } else {
+        expanded = this.expandShorthand(camelProperty, value);
+      }
+
+      for (const [longhand, longhandValue] of Object.entries(expanded)) {
+        // Keep properties in the order they were last declared, which
+        // decides between logical and physical properties for a side
+        delete computedStyle[longhand];
+        computedStyle[longhand] = longhandValue;
+
+        if (isImportant && longhand !== camelProperty) {
+          importantProperties.push(longhand);
+        }
+      }
+    }
+
+    return {
+      computedStyle,
+      importantProperties,
+      conditionalStyles,
+      declarations,
+      invalidQueries,
+    };
+  }
+
+  /**
+   * Extract @media and @container blocks from CSS-like text
+   * Blocks are replaced by their line breaks so the remaining declarations
+   * keep their original line numbers. A block whose query cannot be parsed
+   * is dropped and left for style validation to report
+   *
+   * @param {string} cssText - CSS-like text
+   * @param {Array<Object>} conditionalStyles - Receives {query, style} entries
+   * @param {number} [firstLine] - Line number of the text's first line
+   * @param {Array<Object>} [invalidQueries] - Receives {message, type, text,
+   *   line} for each dropped block
+   * @returns {string} The text without the conditional blocks
+   */
+  extractConditionalBlocks(
+    cssText,
+    conditionalStyles,
+    firstLine = 1,
+    invalidQueries = []
+  ) {
+    const pattern = /@(media|container)\b([^{]*)\{/g;
+    let result = "";
+    let index = 0;
+    // Line number at index
+    let line = firstLine;
+    let match;
+
+    while ((match = pattern.exec(cssText))) {
+      const bodyStart = match.index + match[0].length;
+      let bodyEnd = this.findClosingBrace(cssText, bodyStart);
+      if (bodyEnd === -1) bodyEnd = cssText.length;
+
+      // Start the body at its own line so declarations inside the block
+      // report their line in the whole text
+      const bodyLine =
+        line + cssText.slice(index, bodyStart).split("\n").length - 1;
+
+      try {
+        conditionalStyles.push({
+          query: this.parseQuery(match[1], match[2]),
+          style: this.parseStyle(cssText.slice(bodyStart, bodyEnd), bodyLine),
+        });
+      } catch (error) {
+        invalidQueries.push({
+          message: error.message,
+          type: match[1],
+          text: match[2].trim(),
+          line: line + cssText.slice(index, match.index).split("\n").length - 1,
+        });
+      }
+
+      const block = cssText.slice(match.index, bodyEnd + 1);
+      result += cssText.slice(index, match.index) + block.replace(/[^\n]/g, "");
+      line =
+        bodyLine + cssText.slice(bodyStart, bodyEnd + 1).split("\n").length - 1;
+      index = bodyEnd + 1;
+      pattern.lastIndex = index;
+    }
+
+    return result + cssText.slice(index);
+  }
+
+  /**
+   * Find the brace closing a block
+   * @param {string} text - Source text
+   * @param {number} start - Index just after the opening brace
+   * @returns {number} Index of the closing brace, or -1 if unterminated
+   */
+  findClosingBrace(text, start) {
+    let depth = 1;
+
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === "{") depth++;
+      if (text[i] === "}" && --depth === 0) return i;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Parse the prelude of a @media or @container block
+   * Supports comma-separated alternatives, "and", "not", "only", media types,
+   * container names, (min-/max-)width/height/aspect-ratio, orientation and
+   * range syntax such as (width >= 400)
+   *
+   * @param {string} type - "media" or "container"
+   * @param {string} text - Query text between the at-keyword and the brace
+   * @returns {Object} Parsed query
+   */
+  parseQuery(type, text) {
+    const alternatives = text.split(",").map((part) => {
+      let source = part.trim().toLowerCase();
+      let negated = false;
+
+      if (/^not\s/.test(source)) {
+        negated = true;
+        source = source.slice(4);
+      }
+      source = source.replace(/^only\s+/, "");
+
+      const conditions = [];
+      let matchesType = true;
+
+      for (const term of source.split(/\s+and\s+/)) {
+        const condition = term.trim();
+        if (!condition) continue;
+
+        if (condition.startsWith("(") && condition.endsWith(")")) {
+          conditions.push(this.parseQueryFeature(condition.slice(1, -1), text));
+        } else if (type === "media") {
+          // Media type: layouts only ever render to a screen
+          matchesType = condition === "all" || condition === "screen";
+        }
+        // A bare word in a container query is a container name; queries
+        // always use the nearest ancestor, so it is ignored
+      }
+
+      return { negated, matchesType, conditions };
+    });
+
+    return { type, text: text.trim(), alternatives };
+  }
+
+  /**
+   * Parse a single media feature such as "min-width: 600" or "width >= 600"
+   * @param {string} text - Feature text without parentheses
+   * @param {string} queryText - Full query, for error messages
+   * @returns {Object} {feature, operator, value}
+   */
+  parseQueryFeature(text, queryText) {
+    const comparisons = { "min-": ">=", "max-": "<=" };
+
+    let match = /^(min-|max-)?([a-z-]+)\s*:\s*(.+)$/.exec(text.trim());
+    if (match) {
+      return {
+        feature: match[2],
+        operator: comparisons[match[1]] || "=",
+        value: match[3].trim(),
+      };
+    }
+
+    match = /^([a-z-]+)\s*(<=|>=|<|>|=)\s*(.+)$/.exec(text.trim());
+    if (match) {
+      return { feature: match[1], operator: match[2], value: match[3].trim() };
+    }
+
+    throw new Error(
+      `Invalid query "${queryText.trim()}": cannot parse "(${text})"`
+    );
+  }
+
+  /**
+   * Evaluate a parsed query for an instance
+   * Media queries test the layer viewport; container queries test the
+   * content box of the instance's parent
+   *
+   * @param {WorldInstance} instance - The instance being styled
+   * @param {Object} query - Query from parseQuery
+   * @returns {boolean} True if the query matches
+   */
+  evaluateQuery(instance, query) {
+    let box;
+    if (query.type === "media") {
+      box = this.getViewport(instance);
+    } else {
+      const parent = instance.getParent();
+      if (!parent) return false;
+      box = this.getContentBox(parent);
+    }
+
+    return query.alternatives.some((alternative) => {
+      const matches =
+        alternative.matchesType &&
+        alternative.conditions.every((condition) =>
+          this.evaluateQueryFeature(instance, condition, box)
+        );
+      return alternative.negated ? !matches : matches;
+    });
+  }
+
+  /**
+   * Evaluate a single query feature against a box
+   * @param {WorldInstance} instance - The instance being styled
+   * @param {Object} condition - Feature from parseQueryFeature
+   * @param {Object} box - {width, height} being queried
+   * @returns {boolean} True if the feature matches
+   */
+  evaluateQueryFeature(instance, condition, box) {
+    let actual;
+    let expected;
+
+    switch (condition.feature) {
+      case "width":
+      case "height":
+        actual = box[condition.feature];
+        expected = this.resolveLength(condition.value, instance, 0);
+        break;
+      case "aspect-ratio": {
+        const [numerator, denominator = 1] = condition.value
+          .split("/")
+          .map((part) => parseFloat(part));
+        actual = box.width / box.height;
+        expected = numerator / denominator;
+        break;
+      }
+      case "orientation":
+        return (
+          condition.value ===
+          (box.height >= box.width ? "portrait" : "landscape")
+        );
+      default:
+        return false;
+    }
+
+    if (expected === undefined || Number.isNaN(expected)) return false;
+
+    switch (condition.operator) {
+      case ">=":
+        return actual >= expected;
+      case "<=":
+        return actual <= expected;
+      case ">":
+        return actual > expected;
+      case "<":
+        return actual < expected;
+      default:
+        return actual === expected;
+    }
+  }
+
+  /**
+   * Get a parsed style followed by its conditional styles whose query
+   * currently matches, in cascade order
+   * @param {WorldInstance} instance - The instance being styled
+   * @param {Object} style - Style object from parseStyle
+   * @returns {Array<Object>} Style objects to merge
+   */
+  getApplicableStyles(instance, style) {
+    const styles = [style];
+
+    for (const conditional of style.conditionalStyles || []) {
+      const matches = this.evaluateQuery(instance, conditional.query);
+
+      // Remember what each query depended on so size changes re-evaluate it
+      if (conditional.query.type === "media") {
+        this.mediaDependentInstances.add(instance);
+      } else {
+        instance._containerQueries.push({ query: conditional.query, matches });
+      }
+
+      if (matches) {
+        styles.push(...this.getApplicableStyles(instance, conditional.style));
+      }
+    }
+
+    return styles;
+  }
+
+  /**
+   * Check if an instance, or one of its children whose container it is,
+   * uses container queries that no longer match as they did when styled
+   * @param {WorldInstance} instance - The instance
+   * @returns {boolean} True if the instance needs to be processed again
+   */
+  hasStaleContainerQueries(instance) {
+    return [instance, ...instance.children()].some((inst) =>
+      this.containerQueriesChanged(inst)
+    );
+  }
+
+  /**
+   * Check if any container query used by an instance's styles would now
+   * evaluate differently, e.g. after its container was resized
+   * @param {WorldInstance} instance - The instance
+   * @returns {boolean} True if the instance's styles need recomputing
+   */
+  containerQueriesChanged(instance) {
+    return (instance._containerQueries || []).some(
+      ({ query, matches }) => this.evaluateQuery(instance, query) !== matches
+    );
+  }
+
+  /**
+   * Expand a declaration into its longhand properties
+   * Non-shorthand properties are returned as a single converted entry
+   *
+   * @param {string} property - camelCase property name
+   * @param {string} value - Raw declaration value
+   * @returns {Object} Map of longhand property names to converted values
+   */
+  expandShorthand(property, value) {
+    const expanded = {};
+
+    // A cascade keyword applies to every longhand; "flex: initial" keeps its
+    // explicit values so the instance still counts as a flex item
+    const longhands = this.getShorthandLonghands(property);
+    if (
+      longhands &&
+      UILayout.CASCADE_KEYWORDS.includes(value) &&
+      !(property === "flex" && value === "initial")
+    ) {
+      for (const longhand of longhands) {
+        expanded[longhand] = value;
+      }
+      return expanded;
+    }
+
+    switch (property) {
+      case "flex":
+        this.parseFlexShorthand(value, expanded);
+        break;
+
+      case "margin":
+      case "padding":
+        this.expandBoxShorthand(
+          this.splitValueList(value),
+          (side) => property + this.capitalize(side),
+          expanded
+        );
+        break;
+
+      case "border":
+      case "borderWidth":
+        // Only the width components matter for layout, so style and
+        // color keywords (e.g. "2 solid red") are ignored
+        this.expandBoxShorthand(
+          this.splitValueList(value).filter((part) => this.isLengthToken(part)),
+          (side) => "border" + this.capitalize(side) + "Width",
+          expanded
+        );
+        break;
+
+      case "borderTop":
+      case "borderRight":
+      case "borderBottom":
+      case "borderLeft": {
+        const width = this.splitValueList(value).find((part) =>
+          this.isLengthToken(part)
+        );
+        if (width !== undefined) {
+          expanded[property + "Width"] = this.convertValue(width);
+        }
+        break;
+      }
+
+      case "inset":
+        this.expandBoxShorthand(
+          this.splitValueList(value),
+          (side) => side,
+          expanded
+        );
+        break;
+
+      case "gridColumn":
+      case "gridRow":
+      case "gridArea":
+        this.expandGridPlacement(property, value, expanded);
+        break;
+
+      case "marginInline":
+      case "paddingInline":
+      case "insetInline": {
+        const [start, end = start] = this.splitValueList(value);
+        const [startProperty, endProperty] =
+          this.getShorthandLonghands(property);
+        expanded[startProperty] = this.convertValue(start);
+        expanded[endProperty] = this.convertValue(end);
+        break;
+      }
+
+      case "placeContent":
+      case "placeItems":
+      case "placeSelf": {
+        // One value sets both axes, as in CSS
+        const [align, justify = align] = this.splitAlignmentList(value);
+        const [alignProperty, justifyProperty] =
+          this.getShorthandLonghands(property);
+        expanded[alignProperty] = this.convertValue(align);
+        expanded[justifyProperty] = this.convertValue(justify);
+        break;
+      }
+
+      case "gap": {
+        const [row, column = row] = this.splitValueList(value);
+        expanded.rowGap = this.convertValue(row);
+        expanded.columnGap = this.convertValue(column);
+        break;
+      }
+
+      default:
+        expanded[property] = this.convertValue(value);
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Get the longhand properties a shorthand expands to
+   * @param {string} property - camelCase property name
+   * @returns {Array<string>|null} Longhand names, or null if not a shorthand
+   */
+  getShorthandLonghands(property) {
+    switch (property) {
+      case "flex":
+        return ["flexGrow", "flexShrink", "flexBasis"];
+      case "margin":
+      case "padding":
+        return UILayout.BOX_SIDES.map(
+          (side) => property + this.capitalize(side)
+        );
+      case "border":
+      case "borderWidth":
+        return UILayout.BOX_SIDES.map(
+          (side) => "border" + this.capitalize(side) + "Width"
+        );
+      case "borderTop":
+      case "borderRight":
+      case "borderBottom":
+      case "borderLeft":
+        return [property + "Width"];
+      case "inset":
+        return [...UILayout.BOX_SIDES];
+      case "gridColumn":
+      case "gridRow":
+        return [property + "Start", property + "End"];
+      case "gridArea":
+        return [
+          "gridRowStart",
+          "gridColumnStart",
+          "gridRowEnd",
+          "gridColumnEnd",
+        ];
+      case "marginInline":
+      case "paddingInline":
+      case "insetInline":
+        return [property + "Start", property + "End"];
+      case "placeContent":
+        return ["alignContent", "justifyContent"];
+      case "placeItems":
+        return ["alignItems", "justifyItems"];
+      case "placeSelf":
+        return ["alignSelf", "justifySelf"];
+      case "gap":
+        return ["rowGap", "columnGap"];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Store a declaration that references var() without expanding it
+   * Each longhand of a shorthand keeps the whole pending value, which is
+   * expanded once the variables are substituted in resolveCustomProperties
+   *
+   * @param {string} property - camelCase property name
+   * @param {string} value - Raw declaration value containing var()
+   * @returns {Object} Map of property names to pending values
+   */
+  deferShorthand(property, value) {
+    const longhands = this.getShorthandLonghands(property);
+    if (!longhands) return { [property]: value };
+
+    const deferred = {};
+    for (const longhand of longhands) {
+      deferred[longhand] = { pendingShorthand: property, value };
+    }
+    return deferred;
+  }
+
+  /**
+   * Check if a value references a custom property
+   * @param {*} value - Style value
+   * @returns {boolean} True if the value contains var()
+   */
+  hasVariableReference(value) {
+    return typeof value === "string" && /\bvar\(/.test(value);
+  }
+
+  /**
+   * Replace every var(--name, fallback) reference in a value
+   * @param {string} text - Value containing var() references
+   * @param {Function} lookup - Returns the value of a custom property, or
+   *   undefined if it is not defined
+   * @returns {string|undefined} Substituted value, or undefined if a
+   *   reference has neither a value nor a fallback
+   */
+  substituteVariables(text, lookup) {
+    const pattern = /\bvar\(/g;
+    let result = "";
+    let index = 0;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      // Find the matching closing parenthesis
+      const start = match.index + match[0].length;
+      let depth = 1;
+      let end = start;
+      for (; end < text.length && depth > 0; end++) {
+        if (text[end] === "(") depth++;
+        if (text[end] === ")") depth--;
+      }
+      if (depth > 0) return undefined;
+
+      const inner = text.slice(start, end - 1);
+      const commaIndex = inner.indexOf(",");
+      const name = (
+        commaIndex === -1 ? inner : inner.slice(0, commaIndex)
+      ).trim();
+
+      let value = lookup(name);
+      if (value === undefined && commaIndex !== -1) {
+        value = this.substituteVariables(
+          inner.slice(commaIndex + 1).trim(),
+          lookup
+        );
+      }
+      if (value === undefined) return undefined;
+
+      result += text.slice(index, match.index) + value;
+      index = end;
+      pattern.lastIndex = end;
+    }
+
+    return result + text.slice(index);
+  }
+
+  /**
+   * Resolve custom properties and substitute var() references in a merged style
+   * Custom properties are inherited from the parent's computed style, or
+   * from the active theme for root instances.
+   * Declarations whose var() cannot be resolved are dropped, like values
+   * that are invalid at computed-value time in CSS
+   *
+   * @param {WorldInstance} instance - The instance the style belongs to
+   * @param {Object} style - Merged style object
+   * @returns {Object} Style with custom properties resolved and substituted
+   */
+  resolveCustomProperties(instance, style) {
+    const parent = instance.getParent();
+    const inheritedStyle = parent ? this.ensureComputedStyles(parent) : {};
+
+    // Inherited custom properties are already fully resolved; roots inherit
+    // the tokens of the active theme
+    const customValues = new Map(parent ? [] : this.themeValues);
+    for (const [property, value] of Object.entries(inheritedStyle)) {
+      if (property.startsWith("--")) customValues.set(property, value);
+    }
+
+    // Cascade keywords on a custom property keep the inherited value, except
+    // initial, which leaves it undefined
+    const declared = new Map();
+    for (const [property, value] of Object.entries(style)) {
+      if (!property.startsWith("--")) continue;
+
+      if (value === "initial") {
+        customValues.delete(property);
+      } else if (!UILayout.CASCADE_KEYWORDS.includes(value)) {
+        declared.set(property, value);
+      }
+    }
+
+    // Resolve own custom properties lazily so they can reference each other;
+    // references that loop back make every property in the cycle invalid
+    const resolving = new Set();
+    const lookup = (name) => {
+      if (declared.has(name)) {
+        if (resolving.has(name)) return undefined;
+
+        resolving.add(name);
+        const value = this.substituteVariables(declared.get(name), lookup);
+        resolving.delete(name);
+
+        declared.delete(name);
+        customValues.set(name, value);
+      }
+      return customValues.get(name);
+    };
+
+    for (const name of [...declared.keys()]) {
+      lookup(name);
+    }
+
+    const resolvedStyle = {};
+    for (const [property, value] of Object.entries(style)) {
+      if (property.startsWith("--")) continue;
+
+      if (value && typeof value === "object" && value.pendingShorthand) {
+        const substituted = this.substituteVariables(value.value, lookup);
+        if (substituted === undefined) continue;
+
+        const expanded = this.expandShorthand(
+          value.pendingShorthand,
+          substituted
+        );
+        if (property in expanded) resolvedStyle[property] = expanded[property];
+      } else if (this.hasVariableReference(value)) {
+        const substituted = this.substituteVariables(value, lookup);
+        if (substituted === undefined) continue;
+
+        resolvedStyle[property] = this.convertValue(substituted.trim());
+      } else {
+        resolvedStyle[property] = value;
+      }
+    }
+
+    for (const [name, value] of customValues) {
+      if (value !== undefined) resolvedStyle[name] = value;
+    }
+
+    return resolvedStyle;
+  }
+
+  /**
+   * Expand 1 to 4 box values into per-side properties using the CSS rules:
+   * 1 value: all sides, 2: vertical horizontal, 3: top horizontal bottom,
+   * 4: top right bottom left
+   *
+   * @param {Array<string>} parts - Individual values of the shorthand
+   * @param {Function} getPropertyName - Maps a side name to its longhand name
+   * @param {Object} computedStyle - The style object to update
+   */
+  expandBoxShorthand(parts, getPropertyName, computedStyle) {
+    if (parts.length === 0 || parts.length > 4) return;
+
+    const [top, right = top, bottom = top, left = right] = parts;
+    const sides = { top, right, bottom, left };
+
+    for (const side of UILayout.BOX_SIDES) {
+      computedStyle[getPropertyName(side)] = this.convertValue(sides[side]);
+    }
+  }
+
+  /**
+   * Expand grid-column, grid-row or grid-area into start and end lines
+   *
+   * Lines are separated by slashes; grid-area lists row-start, column-start,
+   * row-end and column-end. As in CSS, an omitted line repeats the area name
+   * on the same axis, or is auto when that line is not a name
+   *
+   * @param {string} property - gridColumn, gridRow or gridArea
+   * @param {string} value - Raw declaration value, e.g. "1 / span 2"
+   * @param {Object} computedStyle - The style object to update
+   */
+  expandGridPlacement(property, value, computedStyle) {
+    const lines = value.split("/").map((line) => line.trim());
+    const longhands = this.getShorthandLonghands(property);
+    // The line an omitted one copies: column-start copies row-start, and
+    // each end copies the start on its axis
+    const copies = property === "gridArea" ? [null, 0, 0, 1] : [null, 0];
+
+    longhands.forEach((longhand, index) => {
+      if (lines[index] === undefined) {
+        const copied = lines[copies[index]];
+        lines[index] = this.isGridAreaName(copied) ? copied : "auto";
+      }
+      computedStyle[longhand] = this.convertValue(lines[index]);
+    });
+  }
+
+  /**
+   * Check if a grid line value names an area rather than a line number,
+   * span or auto
+   * @param {string} value - Grid line value
+   * @returns {boolean} True for an identifier such as "header"
+   */
+  isGridAreaName(value) {
+    return (
+      /^[A-Za-z_][\w-]*$/.test(value) && value !== "auto" && value !== "span"
+    );
+  }
+
+  /**
+   * Split a multi-value declaration on whitespace, keeping parenthesized
+   * groups such as calc(100% - 10) together
+   *
+   * @param {string} value - The raw value
+   * @returns {Array<string>} Individual values
+   */
+  splitValueList(value) {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+
+    for (const char of value.trim()) {
+      if (char === "(") depth++;
+      if (char === ")") depth = Math.max(0, depth - 1);
+
+      if (depth === 0 && /\s/.test(char)) {
+        if (current) parts.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Split a list of alignment values, keeping safe and unsafe with the
+   * alignment they apply to
+   * @param {string} value - e.g. "safe center end"
+   * @returns {Array<string>} Values, e.g. ["safe center", "end"]
+   */
+  splitAlignmentList(value) {
+    const values = [];
+    for (const part of this.splitValueList(value)) {
+      const last = values[values.length - 1];
+      if (last === "safe" || last === "unsafe") {
+        values[values.length - 1] = `${last} ${part}`;
+      } else {
+        values.push(part);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Check whether a single value token describes a length
+   * @param {string} token - Value token
+   * @returns {boolean} True if the token is a number with an optional unit
+   *   or a math expression
+   */
+  isLengthToken(token) {
+    return (
+      /^-?(\d+(\.\d+)?|\.\d+)([a-z]+|%)?$/i.test(token) ||
+      this.isMathExpression(token)
+    );
+  }
+
+  /**
+   * Uppercase the first letter of a string (e.g., top → Top)
+   * @param {string} str - String to capitalize
+   * @returns {string} Capitalized string
+   */
+  capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  }
+
+  /**
+   * Configure style validation
+   * @param {Object} options - Options to change
+   * @param {boolean} [options.enabled] - Validate styles at all
+   * @param {boolean} [options.strict] - Throw on the first warning
+   * @param {Function} [options.reporter] - Receives each warning object
+   *   {message, property, value, line, instance, className, selector, source}
+   */
+  configureValidation(options) {
+    Object.assign(this.validation, options);
+  }
+
+  /**
+   * Validate every declaration of a parsed style against the property schema
+   * and report conditional blocks dropped for an invalid query
+   * @param {Object} parsedStyle - Style object from parseStyle
+   * @param {Object} context - Where the style comes from: {instance},
+   *   {className} or {selector}, optionally with a {source} file name
+   * @returns {Array<Object>} Warnings that were reported
+   */
+  validateStyle(parsedStyle, context) {
+    if (!this.validation.enabled) return [];
+
+    const warnings = [];
+    const visit = (style) => {
+      for (const declaration of style.declarations || []) {
+        const message = this.validateDeclaration(
+          declaration.property,
+          declaration.value
+        );
+
+        if (message) {
+          this.rememberInvalidDeclaration(
+            declaration.property,
+            declaration.value
+          );
+          warnings.push({
+            ...context,
+            message,
+            property: declaration.name,
+            value: declaration.value,
+            line: declaration.line,
+          });
+        }
+      }
+
+      for (const invalid of style.invalidQueries || []) {
+        warnings.push({
+          ...context,
+          message: invalid.message,
+          property: `@${invalid.type}`,
+          value: invalid.text,
+          line: invalid.line,
+        });
+      }
+
+      for (const conditional of style.conditionalStyles || []) {
+        visit(conditional.style);
+      }
+    };
+
+    visit(parsedStyle);
+    warnings.sort((a, b) => a.line - b.line);
+
+    for (const warning of warnings) {
+      this.validation.reporter(warning);
+
+      if (this.validation.strict) {
+        const error = new Error(this.formatStyleWarning(warning));
+        error.warning = warning;
+        throw error;
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Remember a declaration style validation found invalid, keeping at most
+   * STYLE_CACHE_LIMIT of them
+   * @param {string} property - camelCase property name
+   * @param {string} value - Value as written
+   */
+  rememberInvalidDeclaration(property, value) {
+    if (this.invalidDeclarations.size >= UILayout.STYLE_CACHE_LIMIT) {
+      this.invalidDeclarations.clear();
+    }
+    this.invalidDeclarations.add(`${property}:${value}`);
+  }
+
+  /**
+   * Check a single declaration
+   * @param {string} property - camelCase property name
+   * @param {string} value - Value as written
+   * @returns {string|null} Problem description, or null if valid
+   */
+  validateDeclaration(property, value) {
+    const name = this.camelToKebab(property);
+
+    // Custom properties, and values only known once var() is substituted
+    if (
+      property.startsWith("--") ||
+      this.hasVariableReference(value) ||
+      UILayout.CASCADE_KEYWORDS.includes(value)
+    ) {
+      return null;
+    }
+
+    if (this.getShorthandLonghands(property)) {
+      return this.validateShorthand(property, value);
+    }
+
+    const schema = UILayout.PROPERTY_SCHEMA[property];
+    if (!schema) {
+      const suggestion = this.suggestProperty(property);
+      return (
+        `Unknown property "${name}"` +
+        (suggestion ? `, did you mean "${suggestion}"?` : "")
+      );
+    }
+
+    if (this.isValidValue(schema, value)) return null;
+    return `Invalid value "${value}" for "${name}", expected ${this.describeSchema(schema)}`;
+  }
+
+  /**
+   * Check the values of a shorthand declaration
+   * @param {string} property - camelCase shorthand name
+   * @param {string} value - Value as written
+   * @returns {string|null} Problem description, or null if valid
+   */
+  validateShorthand(property, value) {
+    const name = this.camelToKebab(property);
+    const parts = property.startsWith("place")
+      ? this.splitAlignmentList(value)
+      : this.splitValueList(value);
+    const longhands = this.getShorthandLonghands(property);
+
+    if (property === "flex") {
+      const keyword = ["auto", "none", "initial"].includes(value);
+      const number = { type: "number" };
+      const valid =
+        keyword ||
+        (parts.length <= 3 &&
+          this.isValidValue(number, parts[0]) &&
+          (parts.length < 2 ||
+            this.isValidValue(number, parts[1]) ||
+            (parts.length === 2 &&
+              this.isValidValue(
+                UILayout.PROPERTY_SCHEMA.flexBasis,
+                parts[1]
+              ))) &&
+          (parts.length < 3 ||
+            this.isValidValue(UILayout.PROPERTY_SCHEMA.flexBasis, parts[2])));
+
+      return valid ? null : `Invalid value "${value}" for "flex"`;
+    }
+
+    // Border shorthands may also hold style and color keywords
+    if (property.startsWith("border") && property !== "borderWidth") {
+      const widths = parts.filter((part) => this.isLengthToken(part));
+      const invalidWidth = widths.find(
+        (part) => !this.isValidValue({ type: "length" }, part)
+      );
+
+      if (invalidWidth) return `Invalid width "${invalidWidth}" for "${name}"`;
+      if (widths.length > longhands.length) {
+        return `Too many widths in "${name}: ${value}"`;
+      }
+      return null;
+    }
+
+    // Grid placement shorthands separate their lines with slashes
+    if (property.startsWith("grid")) {
+      const lines = value.split("/").map((line) => line.trim());
+      if (lines.length > longhands.length) {
+        return `"${name}" takes at most ${longhands.length} lines, got ${lines.length}`;
+      }
+
+      const invalidLine = lines.find(
+        (line) => !this.isValidValue({ type: "gridLine" }, line)
+      );
+      if (invalidLine !== undefined) {
+        return `Invalid grid line "${invalidLine}" for "${name}"`;
+      }
+      return null;
+    }
+
+    if (longhands.length === 2) {
+      if (parts.length > 2) {
+        return `"${name}" takes 1 or 2 values, got ${parts.length}`;
+      }
+
+      const schema = UILayout.PROPERTY_SCHEMA[longhands[0]];
+      const invalidPart = parts.find(
+        (part) => !this.isValidValue(schema, part)
+      );
+      if (invalidPart) {
+        return `Invalid value "${invalidPart}" for "${name}", expected ${this.describeSchema(schema)}`;
+      }
+      return null;
+    }
+
+    if (parts.length < 1 || parts.length > 4) {
+      return `"${name}" takes 1 to 4 values, got ${parts.length}`;
+    }
+
+    const schema = UILayout.PROPERTY_SCHEMA[longhands[0]];
+    const invalidPart = parts.find((part) => !this.isValidValue(schema, part));
+    if (invalidPart) {
+      return `Invalid value "${invalidPart}" for "${name}", expected ${this.describeSchema(schema)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a value against a property schema entry
+   * @param {Object} schema - Entry from PROPERTY_SCHEMA
+   * @param {string} value - Value as written
+   * @returns {boolean} True if the value is accepted
+   */
+  isValidValue(schema, value) {
+    if (value === undefined) return false;
+    if (schema.keywords?.includes(value)) return true;
+
+    // Overflow alignment: "safe center", "unsafe end", ...
+    const [alignment, safety] = this.splitAlignment(value);
+    if (schema.overflow && safety) {
+      return ["start", "center", "end"].includes(alignment);
+    }
+
+    switch (schema.type) {
+      case "length":
+        return this.isValidLength(value);
+      case "number":
+        return /^-?(\d+(\.\d+)?|\.\d+)$/.test(value);
+      case "integer":
+        return (schema.negative ? /^-?\d+$/ : /^\d+$/).test(value);
+      case "boolean":
+        return value === "true" || value === "false";
+      case "string":
+        return true;
+      case "tracks":
+        try {
+          this.parseTrackList(value);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      case "autoTracks":
+        try {
+          this.parseAutoTrackList(value);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      case "gridLine":
+        return (
+          value === "auto" ||
+          /^-?[1-9]\d*$/.test(value) ||
+          /^span\s+[1-9]\d*$/.test(value) ||
+          this.isGridAreaName(value)
+        );
+      case "areas":
+        try {
+          this.parseGridAreas(value);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      case "ratio":
+        return this.parseAspectRatio(value) !== null;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check that a value is a length with a known unit, or a valid math
+   * expression made of such lengths
+   * @param {string} value - Value as written
+   * @returns {boolean} True if the value is a valid length
+   */
+  isValidLength(value) {
+    if (this.isMathExpression(value)) {
+      try {
+        return (
+          this.tokenizeMathExpression(value).every(
+            (token) =>
+              token.type !== "number" ||
+              !token.unit ||
+              UILayout.LENGTH_UNITS.includes(token.unit)
+          ) && !!this.parseMathExpression(value)
+        );
+      } catch (error) {
+        return false;
+      }
+    }
+
+    const match = /^-?(?:\d+(?:\.\d+)?|\.\d+)([a-z]+|%)?$/i.exec(value);
+    return !!match && (!match[1] || UILayout.LENGTH_UNITS.includes(match[1]));
+  }
+
+  /**
+   * Describe the values a schema entry accepts, for warning messages
+   * @param {Object} schema - Entry from PROPERTY_SCHEMA
+   * @returns {string} Human-readable description
+   */
+  describeSchema(schema) {
+    const types = {
+      length: "a length",
+      number: "a number",
+      integer: "a whole number",
+      boolean: "true or false",
+      string: "text",
+      tracks: "a track list",
+      autoTracks: "a track list without auto-fill or auto-fit",
+      gridLine: "a line number, span N or area name",
+      areas: "quoted rows of area names",
+      ratio: "a ratio such as 16 / 9",
+    };
+    const options = [
+      ...(schema.type ? [types[schema.type]] : []),
+      ...(schema.keywords || []),
+    ];
+
+    if (!schema.type) return `one of ${options.join(", ")}`;
+    return options.join(" or ");
+  }
+
+  /**
+   * Find the known property closest to a misspelled one
+   * @param {string} property - camelCase property name
+   * @returns {string|null} Kebab-case suggestion within two edits, if any
+   */
+  suggestProperty(property) {
+    const candidates = [
+      ...Object.keys(UILayout.PROPERTY_SCHEMA),
+      "margin",
+      "padding",
+      "border",
+      "borderWidth",
+      "inset",
+      "flex",
+      "gridColumn",
+      "gridRow",
+      "gridArea",
+      "placeContent",
+      "placeItems",
+      "placeSelf",
+      "gap",
+      "marginInline",
+      "paddingInline",
+      "insetInline",
+    ];
+    let best = null;
+    let bestDistance = 3;
+
+    for (const candidate of candidates) {
+      const distance = this.getEditDistance(
+        property.toLowerCase(),
+        candidate.toLowerCase()
+      );
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best && this.camelToKebab(best);
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Minimum number of single-character edits
+   */
+  getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Format a validation warning as a single line
+   * @param {Object} warning - Warning from validateStyle, a stylesheet
+   *   error from registerStylesheet, or an invalid grid value found at
+   *   layout time
+   * @returns {string} Message prefixed with where the style comes from
+   */
+  formatStyleWarning(warning) {
+    let origin;
+    if (warning.className) {
+      origin = `class "${warning.className}"`;
+    } else if (warning.selector) {
+      origin = `rule "${warning.selector}"`;
+    } else if (warning.instance) {
+      const tags = [...(warning.instance.getAllTags?.() || [])].join(" ");
+      origin = `${tags ? `"${tags}"` : "instance"} (uid ${warning.instance.uid})`;
+
+      // Values checked at layout time have no line
+      if (warning.line === undefined) {
+        return `[UILayout] layout of ${origin}: ${warning.message}`;
+      }
+      origin = `inline style of ${origin}`;
+    } else {
+      origin = "style";
+    }
+
+    const line = warning.column
+      ? `${warning.line}:${warning.column}`
+      : warning.line;
+    const location = warning.source
+      ? `${warning.source}:${line}`
+      : `line ${line}`;
+    return `[UILayout] ${origin}, ${location}: ${warning.message}`;
+  }
+
+  /**
+   * Converts camelCase to kebab-case (e.g., minWidth → min-width)
+   * @param {string} str - Property name to convert
+   * @returns {string} kebab-case property name
+   */
+  camelToKebab(str) {
+    return str.replace(/[A-Z]/g, (letter) => "-" + letter.toLowerCase());
+  }
+
+  /**
+   * Parse flex shorthand property into individual flex properties
+   * @param {string} value - The flex shorthand value
+   * @param {Object} computedStyle - The style object to update
+   */
+  parseFlexShorthand(value, computedStyle) {
+    const parts = value.split(/\s+/);
+
+    // Handle different formats of the flex shorthand
+    if (parts.length === 1) {
+      // Single value can be either a number (flex-grow) or a keyword
+      if (parts[0] === "auto") {
+        computedStyle["flexGrow"] = 1;
+        computedStyle["flexShrink"] = 1;
+        computedStyle["flexBasis"] = "auto";
+      } else if (parts[0] === "none") {
+        computedStyle["flexGrow"] = 0;
+        computedStyle["flexShrink"] = 0;
+        computedStyle["flexBasis"] = "auto";
+      } else if (parts[0] === "initial") {
+        computedStyle["flexGrow"] = 0;
+        computedStyle["flexShrink"] = 1;
+        computedStyle["flexBasis"] = "auto";
+      } else {
+        // Assume it's a flex-grow value
+        computedStyle["flexGrow"] = this.convertValue(parts[0]);
+        computedStyle["flexShrink"] = 1;
+        computedStyle["flexBasis"] = "0";
+      }
+    } else if (parts.length === 2) {
+      // Two values: flex-grow and flex-shrink or flex-basis
+      computedStyle["flexGrow"] = this.convertValue(parts[0]);
+
+      // Check if second part is a number (flex-shrink) or has units (flex-basis)
+      if (/^\d+(\.\d+)?$/.test(parts[1])) {
+        computedStyle["flexShrink"] = this.convertValue(parts[1]);
+        computedStyle["flexBasis"] = "0";
+      } else {
+        computedStyle["flexShrink"] = 1;
+        computedStyle["flexBasis"] = parts[1];
+      }
+    } else if (parts.length >= 3) {
+      // Three values: flex-grow, flex-shrink, and flex-basis
+      computedStyle["flexGrow"] = this.convertValue(parts[0]);
+      computedStyle["flexShrink"] = this.convertValue(parts[1]);
+      computedStyle["flexBasis"] = parts[2];
+    }
+  }
+
+  /**
+   * Converts kebab-case to camelCase (e.g., min-width → minWidth)
+   * @param {string} str - Property name to convert
+   * @returns {string} camelCase property name
+   */
+  kebabToCamel(str) {
+    return str.replace(/-([a-z])/g, (match, group) => group.toUpperCase());
+  }
+
+  /**
+   * Converts string values to appropriate types
+   * @param {string} value - Value to convert
+   * @returns {string|number|boolean} Converted value
+   */
+  convertValue(value) {
+    // If it's a pure number (no units), convert to number type
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+      return parseFloat(value);
+    }
+
+    // Special case for zero with units - just return 0
+    if (/^0(px|%|em|rem|pt|vh|vw|vmin|vmax)$/.test(value)) {
+      return 0;
+    }
+
+    // Boolean flags such as fit-content
+    if (value === "true" || value === "false") {
+      return value === "true";
+    }
+
+    // Pixels are the layout's native unit
+    if (/^-?\d+(\.\d+)?px$/.test(value)) {
+      return parseFloat(value);
+    }
+
+    // Otherwise keep as string (for percentages, auto, etc.)
+    // Relative units are resolved at layout time by resolveLength
+    return value;
+  }
+
+  /**
+   * Resolve a length value to pixels
+   * Supports unitless numbers, px, %, em, rem, vw, vh, vmin and vmax, and
+   * calc(), min(), max() and clamp() expressions combining them
+   *
+   * @param {string|number} value - Length value from a computed style
+   * @param {WorldInstance} instance - The instance the value belongs to
+   * @param {string|number|Function} reference - What percentages resolve
+   *   against: "width" or "height" of the containing block, "font" for the
+   *   inherited font size, an explicit size in pixels, or a function
+   *   returning one (evaluated only when needed)
+   * @returns {number|undefined} Length in pixels, or undefined if the value
+   *   is not a length (e.g. "auto")
+   */
+  resolveLength(value, instance, reference = "width") {
+    if (typeof value === "number") return value;
+    if (typeof value !== "string") return undefined;
+
+    if (this.isMathExpression(value)) {
+      return this.resolveMathExpression(value, instance, reference);
+    }
+
+    const match = /^(-?(?:\d+(?:\.\d+)?|\.\d+))([a-z]+|%)?$/i.exec(
+      value.trim()
+    );
+    if (!match) return undefined;
+
+    const amount = parseFloat(match[1]);
+    const unit = (match[2] || "px").toLowerCase();
+
+    switch (unit) {
+      case "px":
+        return amount;
+      case "%":
+        return (amount * this.getPercentageBase(instance, reference)) / 100;
+      case "em":
+        // font-size itself is relative to the parent's font size
+        return (
+          amount *
+          (reference === "font"
+            ? this.getInheritedFontSize(instance)
+            : this.getFontSize(instance))
+        );
+      case "rem":
+        // The root's own font-size is relative to the default font size
+        return (
+          amount *
+          (reference === "font" && !instance.getParent()
+            ? this.defaultFontSize
+            : this.getRootFontSize(instance))
+        );
+      case "vw":
+        return (amount * this.getViewport(instance).width) / 100;
+      case "vh":
+        return (amount * this.getViewport(instance).height) / 100;
+      case "vmin": {
+        const viewport = this.getViewport(instance);
+        return (amount * Math.min(viewport.width, viewport.height)) / 100;
+      }
+      case "vmax": {
+        const viewport = this.getViewport(instance);
+        return (amount * Math.max(viewport.width, viewport.height)) / 100;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Check if a style value depends on a percentage
+   * @param {*} value - Style value
+   * @returns {boolean} True for strings like "50%" or "calc(100% - 20)"
+   */
+  isPercentage(value) {
+    return typeof value === "string" && value.includes("%");
+  }
+
+  /**
+   * Check if a style value is a math function (calc, min, max or clamp)
+   * @param {*} value - Style value
+   * @returns {boolean} True if the value must be evaluated at layout time
+   */
+  isMathExpression(value) {
+    return (
+      typeof value === "string" &&
+      /^(calc|min|max|clamp)\s*\(/i.test(value.trim())
+    );
+  }
+
+  /**
+   * Evaluate a calc(), min(), max() or clamp() expression to pixels
+   * Parsed expressions are cached by their source text
+   *
+   * @param {string} value - The expression
+   * @param {WorldInstance} instance - The instance the value belongs to
+   * @param {string|number|Function} reference - Percentage reference, as for resolveLength
+   * @returns {number|undefined} Length in pixels, or undefined if invalid
+   */
+  resolveMathExpression(value, instance, reference) {
+    if (!this.mathExpressionCache.has(value)) {
+      let expression = null;
+
+      try {
+        expression = this.parseMathExpression(value);
+      } catch (error) {
+        // Style validation reports the invalid value; it is ignored here
+      }
+
+      this.mathExpressionCache.set(value, expression);
+    }
+
+    const expression = this.mathExpressionCache.get(value);
+    if (!expression) return undefined;
+
+    const result = this.evaluateMathExpression(expression, instance, reference);
+    return Number.isFinite(result) ? result : undefined;
+  }
+
+  /**
+   * Parse a math expression into a tree of nodes
+   * Grammar: sum := product (("+" | "-") product)*
+   *          product := unary (("*" | "/") unary)*
+   *          unary := "-" unary | number[unit] | "(" sum ")" | name "(" sum ("," sum)* ")"
+   *
+   * @param {string} text - Expression source
+   * @returns {Object} Root expression node
+   */
+  parseMathExpression(text) {
+    const tokens = this.tokenizeMathExpression(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const expect = (type) => {
+      const token = tokens[index++];
+      if (!token || token.type !== type) {
+        throw new Error(`expected "${type}" at position ${index}`);
+      }
+      return token;
+    };
+
+    const parseSum = () => {
+      let node = parseProduct();
+      while (peek() && (peek().type === "+" || peek().type === "-")) {
+        const op = tokens[index++].type;
+        node = { type: "binary", op, left: node, right: parseProduct() };
+      }
+      return node;
+    };
+
+    const parseProduct = () => {
+      let node = parseUnary();
+      while (peek() && (peek().type === "*" || peek().type === "/")) {
+        const op = tokens[index++].type;
+        node = { type: "binary", op, left: node, right: parseUnary() };
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      const token = tokens[index++];
+      if (!token) throw new Error("unexpected end of expression");
+
+      switch (token.type) {
+        case "-":
+          return { type: "negate", operand: parseUnary() };
+        case "number":
+          return token;
+        case "(": {
+          const node = parseSum();
+          expect(")");
+          return node;
+        }
+        case "function": {
+          const args = [parseSum()];
+          while (peek() && peek().type === ",") {
+            index++;
+            args.push(parseSum());
+          }
+          expect(")");
+          return this.createMathFunctionNode(token.name, args);
+        }
+        default:
+          throw new Error(`unexpected "${token.type}"`);
+      }
+    };
+
+    const expression = parseSum();
+    if (index < tokens.length) {
+      throw new Error(`unexpected "${tokens[index].type}"`);
+    }
+    return expression;
+  }
+
+  /**
+   * Split a math expression into tokens
+   * @param {string} text - Expression source
+   * @returns {Array<Object>} Tokens: number (with value and unit), function
+   *   (with name), or an operator/punctuation type
+   */
+  tokenizeMathExpression(text) {
+    const tokens = [];
+    const pattern =
+      /\s*(?:(\d*\.?\d+)([a-z]+|%)?|([a-z][a-z-]*)\s*\(|([-+*\/(),]))/iy;
+    let position = 0;
+
+    text = text.trim();
+    while (position < text.length) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      if (!match) {
+        throw new Error(`unexpected "${text[position]}" at ${position}`);
+      }
+
+      if (match[1] !== undefined) {
+        tokens.push({
+          type: "number",
+          value: parseFloat(match[1]),
+          unit: (match[2] || "").toLowerCase(),
+        });
+      } else if (match[3] !== undefined) {
+        tokens.push({ type: "function", name: match[3].toLowerCase() });
+      } else {
+        tokens.push({ type: match[4] });
+      }
+
+      position = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Create a node for a math function call, checking its arguments
+   * @param {string} name - Function name
+   * @param {Array<Object>} args - Argument nodes
+   * @returns {Object} Expression node
+   */
+  createMathFunctionNode(name, args) {
+    switch (name) {
+      case "calc":
+        if (args.length !== 1) throw new Error("calc() takes one argument");
+        return args[0];
+      case "min":
+      case "max":
+        return { type: "function", name, args };
+      case "clamp":
+        if (args.length !== 3) throw new Error("clamp() takes three arguments");
+        return { type: "function", name, args };
+      default:
+        throw new Error(`unknown function "${name}()"`);
+    }
+  }
+
+  /**
+   * Evaluate an expression node to pixels
+   * @param {Object} node - Expression node from parseMathExpression
+   * @param {WorldInstance} instance - The instance the value belongs to
+   * @param {string|number|Function} reference - Percentage reference, as for resolveLength
+   * @returns {number} Result in pixels (NaN if a term could not be resolved)
+   */
+  evaluateMathExpression(node, instance, reference) {
+    const evaluate = (child) =>
+      this.evaluateMathExpression(child, instance, reference);
+
+    switch (node.type) {
+      case "number":
+        return (
+          this.resolveLength(
+            `${node.value}${node.unit}`,
+            instance,
+            reference
+          ) ?? NaN
+        );
+      case "negate":
+        return -evaluate(node.operand);
+      case "binary": {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.op) {
+          case "+":
+            return left + right;
+          case "-":
+            return left - right;
+          case "*":
+            return left * right;
+          case "/":
+            return left / right;
+        }
+        return NaN;
+      }
+      case "function": {
+        const args = node.args.map(evaluate);
+        switch (node.name) {
+          case "min":
+            return Math.min(...args);
+          case "max":
+            return Math.max(...args);
+          case "clamp":
+            return Math.max(args[0], Math.min(args[1], args[2]));
+        }
+        return NaN;
+      }
+    }
+    return NaN;
+  }
+
+  /**
+   * Get the size that percentages resolve against
+   * @param {WorldInstance} instance - The instance the value belongs to
+   * @param {string|number|Function} reference - "width", "height", "font",
+   *   a size or a function returning one
+   * @returns {number} Reference size in pixels
+   */
+  getPercentageBase(instance, reference) {
+    if (typeof reference === "number") return reference;
+    if (typeof reference === "function") return reference();
+    if (reference === "font") return this.getInheritedFontSize(instance);
+
+    return this.getContainingBlock(instance)[reference] || 0;
+  }
+
+  /**
+   * Get the box that an instance's percentages and offsets resolve against:
+   * the parent's content box, or the layer viewport for root instances and
+   * position: fixed
+   * @param {WorldInstance} instance - The instance
+   * @returns {Object} {x, y, width, height} of the containing block
+   */
+  getContainingBlock(instance) {
+    const parent = instance.getParent();
+    if (!parent || instance._computedStyles?.position === "fixed") {
+      return this.getViewport(instance);
+    }
+    return this.getContentBox(parent);
+  }
+
+  /**
+   * Get the content box of an instance (inside padding and border)
+   * @param {WorldInstance} instance - The instance
+   * @returns {Object} {x, y, width, height} of the content area
+   */
+  getContentBox(instance) {
+    const boxModel = this.getBoxModel(instance);
+
+    return {
+      x: instance.x + boxModel.padding.left + boxModel.border.left,
+      y: instance.y + boxModel.padding.top + boxModel.border.top,
+      width:
+        instance.width -
+        boxModel.padding.left -
+        boxModel.padding.right -
+        boxModel.border.left -
+        boxModel.border.right,
+      height:
+        instance.height -
+        boxModel.padding.top -
+        boxModel.padding.bottom -
+        boxModel.border.top -
+        boxModel.border.bottom,
+    };
+  }
+
+  /**
+   * Get the viewport of the layer an instance is on
+   * @param {WorldInstance} instance - The instance
+   * @returns {Object} {x, y, width, height} of the viewport in layer coordinates
+   */
+  getViewport(instance) {
+    const layer = instance.layer;
+
+    if (layer && typeof layer.getViewport === "function") {
+      const viewport = layer.getViewport();
+      return {
+        x: viewport.left,
+        y: viewport.top,
+        width: viewport.width,
+        height: viewport.height,
+      };
+    }
+
+    return {
+      x: 0,
+      y: 0,
+      width: this.runtime.viewportWidth,
+      height: this.runtime.viewportHeight,
+    };
+  }
+
+  /**
+   * Get the font size of an instance, used to resolve em units
+   * Falls back to the inherited font size when none is set
+   * @param {WorldInstance} instance - The instance
+   * @returns {number} Font size in pixels
+   */
+  getFontSize(instance) {
+    const styles = this.ensureComputedStyles(instance);
+
+    if (styles.fontSize !== undefined) {
+      const fontSize = this.resolveLength(styles.fontSize, instance, "font");
+      if (fontSize !== undefined) return fontSize;
+    }
+
+    return this.getInheritedFontSize(instance);
+  }
+
+  /**
+   * Get the font size an instance inherits from its parent
+   * @param {WorldInstance} instance - The instance
+   * @returns {number} Parent font size, or the default for root instances
+   */
+  getInheritedFontSize(instance) {
+    const parent = instance.getParent();
+    return parent ? this.getFontSize(parent) : this.defaultFontSize;
+  }
+
+  /**
+   * Get the font size of the root of an instance's hierarchy, used for rem
+   * @param {WorldInstance} instance - The instance
+   * @returns {number} Root font size in pixels
+   */
+  getRootFontSize(instance) {
+    return this.getFontSize(this.getRootInstance(instance));
+  }
+
+  /**
+   * Get the stored computed styles of an instance, computing them if needed
+   * @param {WorldInstance} instance - The instance
+   * @returns {Object} Computed style object
+   */
+  ensureComputedStyles(instance) {
+    if (!instance._computedStyles) {
+      instance._computedStyles = this.getInstanceStyles(instance);
+    }
+    return instance._computedStyles;
+  }
+
+  /**
+   * Merges multiple style objects while respecting !important declarations
+   * and cascade layers
+   *
+   * Normal declarations apply in order, so later styles win. Important
+   * declarations win over normal ones, and among them the layer order is
+   * reversed as in CSS: earlier layers beat later ones, layered styles beat
+   * unlayered ones, and inline styles beat everything. revert-layer rolls a
+   * property back to the value it has from lower layers
+   *
+   * @param {Array} styleObjects - Array of style objects from parseStyle
+   * @param {Array<number>} [layerRanks] - Layer rank of each style object
+   *   (see getLayerRank), with inline styles ranked after unlayered ones;
+   *   styles without a rank count as unlayered
+   * @returns {Object} Final merged style object
+   */
+  mergeStyles(styleObjects, layerRanks = []) {
+    if (!styleObjects || !Array.isArray(styleObjects)) return {};
+
+    const layerCount = this.layerOrder.length;
+
+    // Final computed style to apply to the node
+    const finalStyle = {};
+
+    // Normal values of each property with the rank that set them, used to
+    // revert a layer
+    const history = {};
+    const revertLayer = (prop, rank) => {
+      const previous = (history[prop] || []).filter(
+        (entry) => entry.rank < rank
+      );
+      return previous.length ? previous[previous.length - 1].value : "unset";
+    };
+
+    // Important declarations, applied once all normal ones are
+    const importantDeclarations = [];
+
+    // Process each style object in order (like CSS cascade)
+    styleObjects.forEach((styleObj, index) => {
+      if (!styleObj || !styleObj.computedStyle) return;
+
+      const { computedStyle, importantProperties = [] } = styleObj;
+      const rank = layerRanks[index] ?? layerCount;
+
+      // Process each property in the current style
+      for (const [prop, value] of Object.entries(computedStyle)) {
+        if (importantProperties.includes(prop)) {
+          importantDeclarations.push({ prop, value, rank });
+          continue;
+        }
+
+        delete finalStyle[prop];
+        finalStyle[prop] =
+          value === "revert-layer" ? revertLayer(prop, rank) : value;
+        (history[prop] ||= []).push({ rank, value: finalStyle[prop] });
+      }
+    });
+
+    // Order important declarations by precedence: unlayered, then layers
+    // from last to first, then inline; the sort is stable
+    const precedence = (rank) => {
+      if (rank < layerCount) return layerCount - rank;
+      return rank === layerCount ? 0 : layerCount + 1;
+    };
+    importantDeclarations.sort(
+      (a, b) => precedence(a.rank) - precedence(b.rank)
+    );
+
+    for (const { prop, value, rank } of importantDeclarations) {
+      delete finalStyle[prop];
+      finalStyle[prop] =
+        value === "revert-layer" ? revertLayer(prop, rank) : value;
+    }
+
+    return finalStyle;
+  }
+
+  /**
+   * Process an instance and its children following correct cascade order
+   * @param {WorldInstance} instance - The instance to process
+   */
+  processInstance(instance) {
+    // 1. Calculate and apply styles to current instance
+    const styles = this.getInstanceStyles(instance);
+    this.applyStylesToInstance(instance, styles);
+
+    // 2. Get layout properties for current instance
+    const layoutProps = this.getLayoutProperties(instance);
+
+    if (!instance.getParent()) {
+      layoutProps.position = "relative";
+    }
+
+    // 3. Separate children into in-flow and out-of-flow
+    const children = [...instance.children()];
+    const inFlowChildren = [];
+    const outOfFlowChildren = [];
+    const percentSizedChildren = [];
+
+    for (const child of children) {
+      // Skip non-visible or explicitly disabled children
+      if (!child.isVisible || child.instVars?.doLayout === false) {
+        continue;
+      }
+
+      // Apply preliminary styles to determine positioning
+      const childStyles = this.getInstanceStyles(child);
+      child._computedStyles = childStyles;
+
+      // Check if child has percentage-based sizing
+      if (this.hasPercentageSizing(childStyles)) {
+        percentSizedChildren.push(child);
+      }
+
+      const childPosition = childStyles.position || "relative";
+      if (this.isOutOfFlow(childPosition)) {
+        outOfFlowChildren.push(child);
+        delete child._stretchSize;
+        this.restoreStretchedSize(child);
+      } else {
+        inFlowChildren.push(child);
+
+        // Size stretched children before they lay out their own children
+        this.updateStretchSize(instance, layoutProps, child);
+      }
+    }
+
+    // Lay out in-flow children in order, then hierarchy order
+    inFlowChildren.sort(
+      (a, b) => this.getLayoutOrder(a) - this.getLayoutOrder(b)
+    );
+
+    // 4. FIRST recursively process all in-flow children to establish their base sizes
+    for (const child of inFlowChildren) {
+      this.processInstance(child);
+    }
+
+    // 5. THEN apply normal flow layout now that children are properly sized
+    if (layoutProps.display && !this.isOutOfFlow(layoutProps.position)) {
+      this.applyNormalFlowLayout(instance, layoutProps, inFlowChildren);
+    }
+
+    // 6. Apply fit-content sizing if needed (after children are sized)
+    if (layoutProps.fitContent) {
+      const fitWidth = instance.width;
+      const fitHeight = instance.height;
+      this.applyFitContentSizing(instance, layoutProps);
+      const resized =
+        instance.width !== fitWidth || instance.height !== fitHeight;
+
+      // 6.1 If size changed and we have percentage-sized children, reapply their sizing
+      if (percentSizedChildren.length > 0) {
+        for (const child of percentSizedChildren) {
+          // Reapply the percentage sizing now that parent dimensions are finalized
+          this.applyPercentageSizing(child);
+        }
+
+        // 6.2 And reapply layout to ensure positions are correct with new sizes
+        if (layoutProps.display && !this.isOutOfFlow(layoutProps.position)) {
+          this.applyNormalFlowLayout(instance, layoutProps, inFlowChildren);
+        }
+      }
+
+      // 6.3 Reapply normal flow layout if the container size changed and we
+      // have flex children, or lines to place in the new cross size, or
+      // items placed from the end of the main axis, from the right in rtl
+      // or by auto margins
+      else if (
+        layoutProps.display &&
+        !this.isOutOfFlow(layoutProps.position) &&
+        (this.hasFlexChildren(inFlowChildren) ||
+          this.isWrapping(layoutProps) ||
+          (resized &&
+            (layoutProps.reverse ||
+              layoutProps.direction === "rtl" ||
+              this.hasAutoMargins(inFlowChildren))))
+      ) {
+        this.applyNormalFlowLayout(instance, layoutProps, inFlowChildren);
+      }
+    }
+
+    // 6.4 Container queries of children (and of their own children) may
+    // match differently now that sizes are final, so lay those out again
+    const requeriedChildren = inFlowChildren.filter((child) =>
+      this.hasStaleContainerQueries(child)
+    );
+
+    if (requeriedChildren.length > 0) {
+      for (const child of requeriedChildren) {
+        this.processInstance(child);
+      }
+
+      if (layoutProps.display && !this.isOutOfFlow(layoutProps.position)) {
+        this.applyNormalFlowLayout(instance, layoutProps, inFlowChildren);
+      }
+
+      if (layoutProps.fitContent) {
+        this.applyFitContentSizing(instance, layoutProps);
+      }
+    }
+
+    // 7. Process out-of-flow positioned elements AFTER regular flow
+    for (const child of outOfFlowChildren) {
+      // Process the out-of-flow child first to ensure its size is calculated
+      this.processInstance(child);
+
+      // Now position it relative to its container or anchor target
+      this.applyOutOfFlowLayout(child);
+    }
+  }
+
+  /**
+   * Check if any children have flex properties set
+   * @param {Array} children - Array of child instances
+   * @returns {boolean} True if any child has flex properties
+   */
+  hasFlexChildren(children) {
+    return children.some((child) => {
+      const styles = child._computedStyles || {};
+      return (
+        (styles.flexGrow && styles.flexGrow > 0) ||
+        typeof styles.flexShrink !== "undefined" ||
+        (styles.flexBasis && styles.flexBasis !== "auto")
+      );
+    });
+  }
+
+  /**
+   * Check if any children have an auto margin on any side
+   * @param {Array} children - Array of child instances
+   * @returns {boolean} True if any child has an auto margin
+   */
+  hasAutoMargins(children) {
+    return children.some((child) => {
+      const { autoMargin } = this.getBoxModel(child);
+      return (
+        autoMargin.top ||
+        autoMargin.right ||
+        autoMargin.bottom ||
+        autoMargin.left
+      );
+    });
+  }
+
+  /**
+   * Get styles for an instance based on its classes, matching stylesheet
+   * rules and inline style
+   * @param {WorldInstance} instance - The instance to get styles for
+   * @returns {Object} Merged style object
+   */
+  getInstanceStyles(instance) {
+    const matchedRules = [];
+
+    // Registered classes behave like single class selectors, applied in the
+    // order they appear in the classes instance variable
+    for (const className of this.getInstanceClasses(instance)) {
+      for (const { layer, style } of this.registeredClasses.get(className) ||
+        []) {
+        matchedRules.push({ specificity: [0, 1, 0], layer, style });
+      }
+
+      // State variants count each state like an extra pseudo-class
+      for (const variant of this.registeredClassStates.get(className) || []) {
+        if (
+          variant.states.every((state) =>
+            this.matchesInteractionState(instance, state)
+          )
+        ) {
+          matchedRules.push({
+            specificity: [0, 1 + variant.states.length, 0],
+            layer: variant.layer,
+            style: variant.style,
+          });
+        }
+      }
+    }
+
+    // Add stylesheet rules matching this instance
+    for (const rule of this.registeredRules) {
+      if (this.matchesSelector(instance, rule.selector)) {
+        matchedRules.push(rule);
+      }
+    }
+
+    // Order by layer, then by specificity so more specific rules win; the
+    // sort is stable, so equally specific rules keep their declaration order
+    matchedRules.sort(
+      (a, b) =>
+        this.getLayerRank(a.layer) - this.getLayerRank(b.layer) ||
+        this.compareSpecificity(a.specificity, b.specificity)
+    );
+
+    // Matching @media/@container blocks follow the style they belong to,
+    // and share its layer
+    instance._containerQueries = [];
+    const stylesToMerge = [];
+    const layerRanks = [];
+    for (const rule of matchedRules) {
+      for (const style of this.getApplicableStyles(instance, rule.style)) {
+        stylesToMerge.push(style);
+        layerRanks.push(this.getLayerRank(rule.layer));
+      }
+    }
+
+    // Add inline style if present
+    const inlineStyle = instance.instVars?.style || "";
+    if (inlineStyle) {
+      const parsedInlineStyle = this.getParsedStyle(inlineStyle);
+
+      // Validate each inline style once, rather than on every layout pass.
+      // In strict mode an invalid style throws again on the next pass
+      if (this.validatedInlineStyles.get(instance) !== inlineStyle) {
+        this.validateStyle(parsedInlineStyle, { instance });
+        this.validatedInlineStyles.set(instance, inlineStyle);
+      }
+
+      // Inline styles rank above every layer and unlayered style
+      for (const style of this.getApplicableStyles(
+        instance,
+        parsedInlineStyle
+      )) {
+        stylesToMerge.push(style);
+        layerRanks.push(this.layerOrder.length + 1);
+      }
+    }
+
+    // Merge all styles, then substitute custom properties, which depend on
+    // the parent and the theme and so are resolved on every pass
+    const style = this.resolveCustomProperties(
+      instance,
+      this.getMergedStyle(instance, stylesToMerge, layerRanks)
+    );
+
+    return this.resolveLogicalProperties(
+      this.resolveCascadeKeywords(instance, style)
+    );
+  }
+
+  /**
+   * Replace logical properties with the physical ones they set in the
+   * style's direction. Properties are in the order they were declared, so
+   * the later of a logical and a physical property for a side wins
+   * @param {Object} style - Style with cascade keywords resolved
+   * @returns {Object} Style with physical properties only
+   */
+  resolveLogicalProperties(style) {
+    const rtl = style.direction === "rtl";
+    const resolved = {};
+
+    for (const [property, value] of Object.entries(style)) {
+      const sides = UILayout.LOGICAL_PROPERTIES[property];
+      resolved[sides ? sides[rtl ? 1 : 0] : property] = value;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Resolve inherit, initial, unset and revert-layer against the parent's
+   * computed style, and pass inherited properties down when not set
+   *
+   * inherit takes the parent's value, initial removes the property so its
+   * default applies, and unset acts as inherit for inherited properties and
+   * as initial otherwise. A revert-layer left after merging, where no lower
+   * layer set the property, behaves like unset
+   *
+   * @param {WorldInstance} instance - The instance the style belongs to
+   * @param {Object} style - Style with custom properties resolved
+   * @returns {Object} Style without cascade keywords
+   */
+  resolveCascadeKeywords(instance, style) {
+    const resolved = {};
+
+    for (const [property, value] of Object.entries(style)) {
+      if (!UILayout.CASCADE_KEYWORDS.includes(value)) {
+        resolved[property] = value;
+        continue;
+      }
+
+      const inherits =
+        value === "inherit" ||
+        (value !== "initial" &&
+          UILayout.INHERITED_PROPERTIES.includes(property));
+
+      if (inherits) {
+        const inherited = this.getInheritedValue(instance, property);
+        if (inherited !== undefined) resolved[property] = inherited;
+      }
+    }
+
+    // Roots have nothing to inherit from, so their defaults apply
+    for (const property of UILayout.INHERITED_PROPERTIES) {
+      if (property in style || !instance.getParent()) continue;
+
+      const inherited = this.getInheritedValue(instance, property);
+      if (inherited !== undefined) resolved[property] = inherited;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Get the value an instance inherits for a property
+   * @param {WorldInstance} instance - The instance
+   * @param {string} property - camelCase property name
+   * @returns {*} The parent's computed value, or undefined for roots
+   */
+  getInheritedValue(instance, property) {
+    // Font sizes inherit in pixels, so relative sizes do not compound
+    if (property === "fontSize") return this.getInheritedFontSize(instance);
+
+    const parent = instance.getParent();
+    return parent ? this.ensureComputedStyles(parent)[property] : undefined;
+  }
+
+  /**
+   * Check if an element has percentage-based sizing
+   * @param {Object} styles - Element styles
+   * @returns {boolean} True if element has percentage sizing
+   */
+  hasPercentageSizing(styles) {
+    // Check for percentWidth/percentHeight properties
+    if ("percentWidth" in styles || "percentHeight" in styles) {
+      return true;
+    }
+
+    // Check for sizes, constraints or flex-basis with percentage strings
+    return [
+      "width",
+      "height",
+      "minWidth",
+      "maxWidth",
+      "minHeight",
+      "maxHeight",
+      "flexBasis",
+    ].some((property) => this.isPercentage(styles[property]));
+  }
+
+  /**
+   * Apply percentage-based sizing to an element
+   * @param {WorldInstance} instance - The instance to size
+   */
+  applyPercentageSizing(instance) {
+    if (!instance._computedStyles || !instance.getParent()) {
+      return;
+    }
+
+    const styles = instance._computedStyles;
+    const { display } = this.parseDisplay(styles.display);
+    const isHorizontal = display === "horizontal";
+    const isVertical = display === "vertical";
+
+    // Apply width percentages if present
+    const width = this.getSizeValue(styles, "width");
+    if (this.isPercentage(width)) {
+      const resolvedWidth = this.resolveLength(width, instance, "width");
+      if (resolvedWidth > 0) instance.width = resolvedWidth;
+    }
+
+    // Apply height percentages if present
+    const height = this.getSizeValue(styles, "height");
+    if (this.isPercentage(height)) {
+      const resolvedHeight = this.resolveLength(height, instance, "height");
+      if (resolvedHeight > 0) instance.height = resolvedHeight;
+    }
+
+    // Apply flex-basis percentages if appropriate for the main axis
+    if (this.isPercentage(styles.flexBasis) && (isHorizontal || isVertical)) {
+      const axis = isHorizontal ? "width" : "height";
+      const flexBasis = this.resolveLength(styles.flexBasis, instance, axis);
+      if (flexBasis > 0) instance[axis] = flexBasis;
+    }
+
+    // Apply min/max constraints
+    this.applyMinMaxConstraints(instance, styles);
+
+    // Keep the aspect ratio with the new size
+    const ratioDimension = this.getAspectRatioDimension(instance);
+    if (ratioDimension) this.applyAspectRatio(instance, ratioDimension);
+  }
+
+  /**
+   * Apply min/max constraints to an instance
+   * @param {WorldInstance} instance - The instance to constrain
+   * @param {Object} styles - Style object with constraints
+   * @returns {Object} Info about which constraints were applied
+   */
+  applyMinMaxConstraints(instance, styles) {
+    const constraints = this.getSizeConstraints(instance, styles);
+
+    let widthConstrained = false;
+    let heightConstrained = false;
+
+    // Apply min width constraint
+    if (
+      constraints.minWidth !== undefined &&
+      instance.width < constraints.minWidth
+    ) {
+      instance.width = constraints.minWidth;
+      widthConstrained = true;
+    }
+
+    // Apply max width constraint
+    if (
+      constraints.maxWidth !== undefined &&
+      instance.width > constraints.maxWidth
+    ) {
+      instance.width = constraints.maxWidth;
+      widthConstrained = true;
+    }
+
+    // Apply min height constraint
+    if (
+      constraints.minHeight !== undefined &&
+      instance.height < constraints.minHeight
+    ) {
+      instance.height = constraints.minHeight;
+      heightConstrained = true;
+    }
+
+    // Apply max height constraint
+    if (
+      constraints.maxHeight !== undefined &&
+      instance.height > constraints.maxHeight
+    ) {
+      instance.height = constraints.maxHeight;
+      heightConstrained = true;
+    }
+
+    return { widthConstrained, heightConstrained };
+  }
+
+  /**
+   * Resolve min/max size constraints to pixels
+   * @param {WorldInstance} instance - The instance to constrain
+   * @param {Object} styles - Style object with constraints
+   * @returns {Object} {minWidth, maxWidth, minHeight, maxHeight}, undefined where unset
+   */
+  getSizeConstraints(instance, styles) {
+    const constraints = {
+      minWidth: this.resolveLength(styles.minWidth, instance, "width"),
+      maxWidth: this.resolveLength(styles.maxWidth, instance, "width"),
+      minHeight: this.resolveLength(styles.minHeight, instance, "height"),
+      maxHeight: this.resolveLength(styles.maxHeight, instance, "height"),
+    };
+
+    // With an aspect-ratio, the limits of the axis sized from the ratio also
+    // limit an auto-sized axis it is sized from
+    const dimension = this.getAspectRatioDimension(instance, styles);
+    const source = dimension === "width" ? "height" : "width";
+    const sourceSize = this.getSizeValue(styles, source);
+    if (dimension && (sourceSize === undefined || sourceSize === "auto")) {
+      const ratio = this.parseAspectRatio(styles.aspectRatio);
+      const toSource = source === "width" ? ratio : 1 / ratio;
+      const [Source, Dimension] = [source, dimension].map((name) =>
+        this.capitalize(name)
+      );
+      const min = constraints["min" + Dimension];
+      const max = constraints["max" + Dimension];
+
+      if (min !== undefined) {
+        constraints["min" + Source] = Math.max(
+          constraints["min" + Source] ?? 0,
+          min * toSource
+        );
+      }
+      if (max !== undefined) {
+        constraints["max" + Source] = Math.min(
+          constraints["max" + Source] ?? Infinity,
+          max * toSource
+        );
+      }
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Parse an aspect-ratio value
+   * @param {string|number} value - e.g. "16 / 9", 1.5 or "auto"
+   * @returns {number|null} Width divided by height, or null for auto and
+   *   invalid or degenerate ratios
+   */
+  parseAspectRatio(value) {
+    if (typeof value === "number") return value > 0 ? value : null;
+    const match =
+      /^(\d+(?:\.\d+)?|\.\d+)(?:\s*\/\s*(\d+(?:\.\d+)?|\.\d+))?$/.exec(
+        String(value ?? "").trim()
+      );
+    if (!match) return null;
+
+    const ratio = parseFloat(match[1]) / (match[2] ? parseFloat(match[2]) : 1);
+    return ratio > 0 && Number.isFinite(ratio) ? ratio : null;
+  }
+
+  /**
+   * Get the dimension an aspect-ratio sizes from the other one: the one
+   * without a size of its own. When neither has one, flex items size their
+   * cross axis from the main axis, and other instances their height from
+   * their width. Stretched dimensions keep the size they were given
+   * @param {WorldInstance} instance - The instance
+   * @param {Object} [styles] - Computed styles of the instance
+   * @returns {string|null} "width" or "height", or null without an
+   *   aspect-ratio or an auto dimension
+   */
+  getAspectRatioDimension(instance, styles = instance._computedStyles || {}) {
+    if (!this.parseAspectRatio(styles.aspectRatio)) return null;
+
+    const stretched = instance._stretchSize?.dimension;
+    const autoDimensions = ["height", "width"].filter((dimension) => {
+      const size = this.getSizeValue(styles, dimension);
+      return (size === undefined || size === "auto") && dimension !== stretched;
+    });
+    if (autoDimensions.length < 2) return autoDimensions[0] ?? null;
+
+    const parent = instance.getParent();
+    const parentDisplay = parent && parent._computedStyles?.display;
+    return parentDisplay &&
+      this.parseDisplay(parentDisplay).display === "vertical"
+      ? "width"
+      : "height";
+  }
+
+  /**
+   * Size one dimension of an instance from the other with its aspect-ratio,
+   * within the min/max size of that dimension
+   * @param {WorldInstance} instance - The instance, with computed styles
+   * @param {string} dimension - Dimension to size, "width" or "height"
+   * @returns {boolean} True if the size changed
+   */
+  applyAspectRatio(instance, dimension) {
+    const styles = instance._computedStyles || {};
+    const ratio = this.parseAspectRatio(styles.aspectRatio);
+    if (!ratio) return false;
+
+    const constraints = this.getSizeConstraints(instance, styles);
+    const Dimension = this.capitalize(dimension);
+    const min = constraints["min" + Dimension];
+    const max = constraints["max" + Dimension];
+
+    let size =
+      dimension === "width" ? instance.height * ratio : instance.width / ratio;
+    if (max !== undefined) size = Math.min(size, max);
+    if (min !== undefined) size = Math.max(size, min);
+
+    if (Math.abs(instance[dimension] - size) <= 0.01) return false;
+    instance[dimension] = size;
+    return true;
+  }
+
+  /**
+   * Get the declared width or height, including the legacy
+   * percentWidth/percentHeight properties
+   * @param {Object} styles - Style object
+   * @param {string} dimension - "width" or "height"
+   * @returns {string|number|undefined} The declared size
+   */
+  getSizeValue(styles, dimension) {
+    const percentProperty =
+      dimension === "width" ? "percentWidth" : "percentHeight";
+
+    if (percentProperty in styles) {
+      return `${styles[percentProperty]}%`;
+    }
+    return styles[dimension];
+  }
+
+  /**
+   * Get computed layout properties from styles
+   * @param {WorldInstance} instance - The instance to get layout properties for
+   * @returns {Object} Layout properties
+   */
+  getLayoutProperties(instance) {
+    const styles = this.ensureComputedStyles(instance);
+    const { display, reverse } = this.parseDisplay(styles.display);
+    const direction = styles.direction === "rtl" ? "rtl" : "ltr";
+    const rtl = direction === "rtl";
+    const flexWrap = styles.flexWrap || "nowrap";
+
+    // Percentage gaps resolve against the container's own content box
+    const rowGap =
+      this.resolveLength(
+        styles.rowGap,
+        instance,
+        () => this.getContentBox(instance).height
+      ) || 0;
+    const columnGap =
+      this.resolveLength(
+        styles.columnGap,
+        instance,
+        () => this.getContentBox(instance).width
+      ) || 0;
+
+    // Flex containers use the gap of their main axis between items
+    const gap = display === "vertical" ? rowGap : columnGap;
+
+    return {
+      display, // vertical, horizontal, grid
+      direction, // ltr, rtl
+      // Items are placed from the right or bottom: reverse directions, and
+      // horizontal flow in rtl unless reversed
+      reverse: display === "horizontal" ? reverse !== rtl : reverse,
+      // Lines stack and items align from the right or bottom: wrap-reverse,
+      // and vertical flow in rtl unless wrap-reverse
+      crossReverse:
+        (flexWrap === "wrap-reverse") !== (display === "vertical" && rtl),
+      position: styles.position || "relative", // relative, absolute, anchor
+      gap,
+      rowGap,
+      columnGap,
+      flexWrap, // nowrap, wrap, wrap-reverse
+      alignContent: styles.alignContent || "start", // start, center, end, space-between, space-around, space-evenly, stretch
+      alignItems: styles.alignItems || styles.alignment || "start", // start, center, end, stretch
+      justifyItems: styles.justifyItems || "start", // start, center, end, stretch
+      justifyContent: styles.justifyContent || "start", // start, center, end, space-between, space-around, space-evenly, stretch
+      columns: styles.columns || 2,
+      gridTemplateColumns: styles.gridTemplateColumns,
+      gridTemplateRows: styles.gridTemplateRows,
+      gridTemplateAreas: styles.gridTemplateAreas,
+      gridAutoColumns: styles.gridAutoColumns,
+      gridAutoRows: styles.gridAutoRows,
+      gridAutoFlow: styles.gridAutoFlow || "row", // row, column, dense, row dense, column dense
+      fitContent: styles.fitContent || false,
+      top: this.resolveLength(styles.top, instance, "height"),
+      right: this.resolveLength(styles.right, instance, "width"),
+      bottom: this.resolveLength(styles.bottom, instance, "height"),
+      left: this.resolveLength(styles.left, instance, "width"),
+      // Anchor positioning properties; left and right mirror in rtl
+      anchorTarget: styles.anchorTarget, // ID or instance reference
+      anchorPoint: this.getDirectionalAnchor(styles.anchorPoint, rtl), // Anchor point on target
+      selfAnchor: this.getDirectionalAnchor(styles.selfAnchor, rtl), // Anchor point on self
+      // Percentage anchor offsets are relative to the instance's own size
+      anchorOffsetX:
+        (rtl ? -1 : 1) *
+        (this.resolveLength(styles.anchorOffsetX, instance, instance.width) ||
+          0),
+      anchorOffsetY:
+        this.resolveLength(styles.anchorOffsetY, instance, instance.height) ||
+        0,
+    };
+  }
+
+  /**
+   * Get the anchor point to use in a layout direction: in rtl, left and
+   * right swap so anchors keep their side relative to the reading order
+   * @param {string} [anchor] - Anchor point, center when not set
+   * @param {boolean} rtl - Whether the instance is right-to-left
+   * @returns {string} Anchor point
+   */
+  getDirectionalAnchor(anchor = "center", rtl) {
+    if (!rtl) return anchor;
+    return anchor.replace(/left|right/, (side) =>
+      side === "left" ? "right" : "left"
+    );
+  }
+
+  /**
+   * Split a display value into its layout mode and main-axis direction
+   * @param {string} [display] - Display value, vertical when not set
+   * @returns {Object} {display, reverse}, e.g. {display: "horizontal",
+   *   reverse: true} for "horizontal-reverse"
+   */
+  parseDisplay(display = "vertical") {
+    const reverse = display.endsWith("-reverse");
+    return {
+      display: reverse ? display.slice(0, -"-reverse".length) : display,
+      reverse,
+    };
+  }
+
+  /**
+   * Apply normal flow layout (static/relative positioning)
+   * @param {WorldInstance} instance - The instance to layout
+   * @param {Object} layoutProps - Layout properties
+   * @param {Array} children - Children to layout (optional, if already filtered)
+   */
+  applyNormalFlowLayout(instance, layoutProps, children) {
+    // Use provided children or get them if not provided
+    const layoutChildren = children || this.getLayoutChildren(instance);
+
+    // Wrapping flex containers lay out each line on its own
+    if (layoutProps.display !== "grid" && this.isWrapping(layoutProps)) {
+      this.layoutFlexLines(instance, layoutProps, layoutChildren);
+      return;
+    }
+
+    switch (layoutProps.display) {
+      case "vertical":
+        this.layoutVertical(instance, layoutProps, layoutChildren);
+        break;
+      case "horizontal":
+        this.layoutHorizontal(instance, layoutProps, layoutChildren);
+        break;
+      case "grid":
+        this.layoutGrid(instance, layoutProps, layoutChildren);
+        break;
+    }
+  }
+
+  /**
+   * Apply fit-content sizing to a container based on its children
+   * @param {WorldInstance} instance - The container to apply fit-content to
+   * @param {Object} layoutProps - Layout properties
+   */
+  applyFitContentSizing(instance, layoutProps) {
+    const children = this.getLayoutChildren(instance);
+    const containerBoxModel = this.getBoxModel(instance);
+
+    // Lines of a wrapping container break against its main size, so only
+    // the cross size fits the lines
+    if (layoutProps.display !== "grid" && this.isWrapping(layoutProps)) {
+      const isHorizontal = layoutProps.display === "horizontal";
+      const lines = this.getFlexLines(instance, layoutProps, children);
+      const lineGap = isHorizontal ? layoutProps.rowGap : layoutProps.columnGap;
+      const linesSize =
+        lines.reduce((total, line) => total + line.crossSize, 0) +
+        Math.max(0, lines.length - 1) * lineGap;
+
+      if (isHorizontal) {
+        instance.height =
+          linesSize +
+          containerBoxModel.padding.top +
+          containerBoxModel.padding.bottom +
+          containerBoxModel.border.top +
+          containerBoxModel.border.bottom;
+      } else {
+        instance.width =
+          linesSize +
+          containerBoxModel.padding.left +
+          containerBoxModel.padding.right +
+          containerBoxModel.border.left +
+          containerBoxModel.border.right;
+      }
+      this.applyStretchSize(instance);
+      return;
+    }
+
+    // Different sizing logic based on display type
+    switch (layoutProps.display) {
+      case "vertical":
+        // Calculate total height and max width
+        let totalHeightVertical =
+          containerBoxModel.padding.top + containerBoxModel.padding.bottom;
+        let maxWidth = 0;
+
+        children.forEach((child, index) => {
+          totalHeightVertical += this.getOuterHeight(child);
+          if (index < children.length - 1) {
+            totalHeightVertical += layoutProps.gap;
+          }
+          maxWidth = Math.max(maxWidth, this.getOuterWidth(child));
+        });
+
+        // Apply new dimensions
         instance.height =
           totalHeightVertical +
           containerBoxModel.border.top +
@@ -637,410 +4167,1398 @@ class UILayout {
           containerBoxModel.border.right;
         break;
 
-      case "horizontal":
-        // Calculate total width and max height
-        let totalWidthHorizontal =
-          containerBoxModel.padding.left + containerBoxModel.padding.right;
-        let maxHeight = 0;
+      case "horizontal":
+        // Calculate total width and max height
+        let totalWidthHorizontal =
+          containerBoxModel.padding.left + containerBoxModel.padding.right;
+        let maxHeight = 0;
+
+        children.forEach((child, index) => {
+          totalWidthHorizontal += this.getOuterWidth(child);
+          if (index < children.length - 1) {
+            totalWidthHorizontal += layoutProps.gap;
+          }
+          maxHeight = Math.max(maxHeight, this.getOuterHeight(child));
+        });
+
+        // Apply new dimensions
+        instance.width =
+          totalWidthHorizontal +
+          containerBoxModel.border.left +
+          containerBoxModel.border.right;
+        instance.height =
+          maxHeight +
+          containerBoxModel.padding.top +
+          containerBoxModel.padding.bottom +
+          containerBoxModel.border.top +
+          containerBoxModel.border.bottom;
+        break;
+
+      case "grid":
+        // Size the container to its tracks and the gaps between them
+        const tracks = this.getGridTracks(instance, layoutProps, children);
+        const sumTracks = (sizes, gap) =>
+          sizes.reduce((total, size) => total + size, 0) +
+          Math.max(0, sizes.length - 1) * gap;
+
+        const totalWidthGrid =
+          sumTracks(tracks.columns, layoutProps.columnGap) +
+          containerBoxModel.padding.left +
+          containerBoxModel.padding.right +
+          containerBoxModel.border.left +
+          containerBoxModel.border.right;
+
+        const totalHeightGrid =
+          sumTracks(tracks.rows, layoutProps.rowGap) +
+          containerBoxModel.padding.top +
+          containerBoxModel.padding.bottom +
+          containerBoxModel.border.top +
+          containerBoxModel.border.bottom;
+
+        // Apply new dimensions
+        instance.width = totalWidthGrid;
+        instance.height = totalHeightGrid;
+        break;
+    }
+
+    // A stretched cross size wins over the fitted one
+    this.applyStretchSize(instance);
+  }
+
+  /**
+   * Check if a position value takes an instance out of the normal flow
+   * @param {string} position - Computed position
+   * @returns {boolean} True for absolute, fixed and anchor positioning
+   */
+  isOutOfFlow(position) {
+    return (
+      position === "absolute" || position === "fixed" || position === "anchor"
+    );
+  }
+
+  /**
+   * Apply out-of-flow layout (absolute/fixed/anchor positioning)
+   * @param {WorldInstance} instance - The instance to layout
+   */
+  applyOutOfFlowLayout(instance) {
+    this.ensureComputedStyles(instance);
+
+    const layoutProps = this.getLayoutProperties(instance);
+
+    switch (layoutProps.position) {
+      case "absolute":
+      case "fixed":
+        this.positionAbsolute(instance, layoutProps);
+        break;
+      case "anchor":
+        this.positionAnchor(instance, layoutProps);
+        break;
+    }
+  }
+
+  /**
+   * Position an element absolutely within its parent's content box, or
+   * within the viewport of its layer for position: fixed, so it stays in
+   * place however its ancestors move or the layer scrolls
+   * @param {WorldInstance} instance - The instance to position
+   * @param {Object} layoutProps - Layout properties
+   */
+  positionAbsolute(instance, layoutProps) {
+    const parent = instance.getParent();
+    if (!parent && layoutProps.position !== "fixed") return;
+
+    const instanceBoxModel = this.getBoxModel(instance);
+
+    // Get content area boundaries (inside padding/border)
+    const containingBlock = this.getContainingBlock(instance);
+    const contentLeft = containingBlock.x;
+    const contentTop = containingBlock.y;
+    const contentRight = containingBlock.x + containingBlock.width;
+    const contentBottom = containingBlock.y + containingBlock.height;
+
+    // Calculate position based on properties
+    let x, y;
+
+    const autoMargin = instanceBoxModel.autoMargin;
+
+    // In an rtl parent, right wins over left and the default is right: 0
+    const rtl =
+      this.ensureComputedStyles(parent || instance).direction === "rtl";
+
+    // Handle horizontal positioning; with both insets set, auto margins
+    // place the instance between them
+    if (
+      layoutProps.left !== undefined &&
+      layoutProps.right !== undefined &&
+      (autoMargin.left || autoMargin.right)
+    ) {
+      const start = contentLeft + layoutProps.left;
+      const freeSpace =
+        contentRight -
+        layoutProps.right -
+        start -
+        instance.width -
+        instanceBoxModel.margin.left -
+        instanceBoxModel.margin.right;
+      x =
+        start +
+        instanceBoxModel.margin.left +
+        this.getAutoMarginOffset(autoMargin.left, autoMargin.right, freeSpace);
+    } else if (
+      layoutProps.left !== undefined &&
+      !(rtl && layoutProps.right !== undefined)
+    ) {
+      x = contentLeft + layoutProps.left + instanceBoxModel.margin.left;
+    } else if (layoutProps.right !== undefined || rtl) {
+      x =
+        contentRight -
+        (layoutProps.right || 0) -
+        instance.width -
+        instanceBoxModel.margin.right;
+    } else {
+      // Default to left: 0
+      x = contentLeft + instanceBoxModel.margin.left;
+    }
+
+    // Handle vertical positioning
+    if (
+      layoutProps.top !== undefined &&
+      layoutProps.bottom !== undefined &&
+      (autoMargin.top || autoMargin.bottom)
+    ) {
+      const start = contentTop + layoutProps.top;
+      const freeSpace =
+        contentBottom -
+        layoutProps.bottom -
+        start -
+        instance.height -
+        instanceBoxModel.margin.top -
+        instanceBoxModel.margin.bottom;
+      y =
+        start +
+        instanceBoxModel.margin.top +
+        this.getAutoMarginOffset(autoMargin.top, autoMargin.bottom, freeSpace);
+    } else if (layoutProps.top !== undefined) {
+      y = contentTop + layoutProps.top + instanceBoxModel.margin.top;
+    } else if (layoutProps.bottom !== undefined) {
+      y =
+        contentBottom -
+        layoutProps.bottom -
+        instance.height -
+        instanceBoxModel.margin.bottom;
+    } else {
+      // Default to top: 0
+      y = contentTop + instanceBoxModel.margin.top;
+    }
+
+    // Apply the position
+    instance.x = x;
+    instance.y = y;
+  }
+
+  /**
+   * Position an element using anchor positioning
+   * @param {WorldInstance} instance - The instance to position
+   * @param {Object} layoutProps - Layout properties
+   */
+  positionAnchor(instance, layoutProps) {
+    let target = null;
+
+    // If no anchor target specified, default to parent
+    if (!layoutProps.anchorTarget) {
+      target = instance.getParent();
+      if (!target) return; // No parent to anchor to
+    } else {
+      // Find the target element by tag/name
+      if (typeof layoutProps.anchorTarget === "string") {
+        // Special case: "parent" refers to the parent element
+        if (layoutProps.anchorTarget === "parent") {
+          target = instance.getParent();
+        } else {
+          // Look through all objects to find one with matching tag
+          for (const objectType of Object.values(this.runtime.objects)) {
+            for (const inst of objectType.getAllInstances()) {
+              if (inst.hasTags(layoutProps.anchorTarget)) {
+                target = inst;
+                break;
+              }
+            }
+            if (target) break;
+          }
+        }
+      } else if (
+        layoutProps.anchorTarget instanceof this.runtime.objects.WorldInstance
+      ) {
+        // Direct instance reference
+        target = layoutProps.anchorTarget;
+      }
+    }
+
+    if (!target) return;
+
+    // Ensure we have the current position
+    const originalX = instance.x;
+    const originalY = instance.y;
+
+    // Get anchor points
+    const targetPoint = this.getAnchorPoint(target, layoutProps.anchorPoint);
+    const selfPoint = this.getAnchorPoint(
+      instance,
+      layoutProps.selfAnchor,
+      true
+    );
+
+    // Calculate offset between anchor points
+    const offsetX =
+      targetPoint.x -
+      (originalX + selfPoint.offsetX) +
+      layoutProps.anchorOffsetX;
+    const offsetY =
+      targetPoint.y -
+      (originalY + selfPoint.offsetY) +
+      layoutProps.anchorOffsetY;
+
+    // Apply position
+    instance.x = originalX + offsetX;
+    instance.y = originalY + offsetY;
+  }
+
+  /**
+   * Get the coordinates of an anchor point on an instance
+   * @param {WorldInstance} instance - The instance
+   * @param {string} anchor - The anchor point name
+   * @param {boolean} returnOffset - If true, return offset from instance origin instead of absolute coordinates
+   * @returns {Object} {x, y} coordinates or {offsetX, offsetY} if returnOffset is true
+   */
+  getAnchorPoint(instance, anchor, returnOffset = false) {
+    // Calculate based on anchor point
+    let offsetX, offsetY;
+
+    switch (anchor) {
+      case "top-left":
+        offsetX = 0;
+        offsetY = 0;
+        break;
+      case "top":
+      case "top-center":
+        offsetX = instance.width / 2;
+        offsetY = 0;
+        break;
+      case "top-right":
+        offsetX = instance.width;
+        offsetY = 0;
+        break;
+      case "left":
+      case "center-left":
+        offsetX = 0;
+        offsetY = instance.height / 2;
+        break;
+      case "center":
+        offsetX = instance.width / 2;
+        offsetY = instance.height / 2;
+        break;
+      case "right":
+      case "center-right":
+        offsetX = instance.width;
+        offsetY = instance.height / 2;
+        break;
+      case "bottom-left":
+        offsetX = 0;
+        offsetY = instance.height;
+        break;
+      case "bottom":
+      case "bottom-center":
+        offsetX = instance.width / 2;
+        offsetY = instance.height;
+        break;
+      case "bottom-right":
+        offsetX = instance.width;
+        offsetY = instance.height;
+        break;
+      default:
+        // Default to center
+        offsetX = instance.width / 2;
+        offsetY = instance.height / 2;
+    }
+
+    if (returnOffset) {
+      return { offsetX, offsetY };
+    } else {
+      return {
+        x: instance.x + offsetX,
+        y: instance.y + offsetY,
+      };
+    }
+  }
+
+  /**
+   * Get box model properties for an instance
+   * @param {WorldInstance} instance - The instance to get box model for
+   * @returns {Object} Box model properties
+   */
+  getBoxModel(instance) {
+    const styles = this.ensureComputedStyles(instance);
+
+    // Shorthands (margin, padding, border) are expanded to per-side
+    // longhands by parseStyle, so only the longhands need to be read here.
+    // As in CSS, percentages on every side resolve against the width of
+    // the containing block
+    const length = (value) => this.resolveLength(value, instance, "width") ?? 0;
+
+    const marginTop = length(styles.marginTop);
+    const marginRight = length(styles.marginRight);
+    const marginBottom = length(styles.marginBottom);
+    const marginLeft = length(styles.marginLeft);
+
+    const paddingTop = length(styles.paddingTop);
+    const paddingRight = length(styles.paddingRight);
+    const paddingBottom = length(styles.paddingBottom);
+    const paddingLeft = length(styles.paddingLeft);
+
+    const borderTop = length(styles.borderTopWidth);
+    const borderRight = length(styles.borderRightWidth);
+    const borderBottom = length(styles.borderBottomWidth);
+    const borderLeft = length(styles.borderLeftWidth);
+
+    return {
+      margin: {
+        top: marginTop,
+        right: marginRight,
+        bottom: marginBottom,
+        left: marginLeft,
+      },
+      // Auto margins count as 0 above and absorb free space during layout
+      autoMargin: {
+        top: styles.marginTop === "auto",
+        right: styles.marginRight === "auto",
+        bottom: styles.marginBottom === "auto",
+        left: styles.marginLeft === "auto",
+      },
+      padding: {
+        top: paddingTop,
+        right: paddingRight,
+        bottom: paddingBottom,
+        left: paddingLeft,
+      },
+      border: {
+        top: borderTop,
+        right: borderRight,
+        bottom: borderBottom,
+        left: borderLeft,
+      },
+    };
+  }
+
+  /**
+   * Get the space auto margins put before a box along one axis
+   * Two auto margins share the free space equally, centering the box, and a
+   * single one takes all of it. Auto margins are never negative, so a box
+   * without free space stays at the start
+   *
+   * @param {boolean} autoStart - Whether the start margin is auto
+   * @param {boolean} autoEnd - Whether the end margin is auto
+   * @param {number} freeSpace - Space left beside the box on this axis
+   * @returns {number} Offset from the start position
+   */
+  getAutoMarginOffset(autoStart, autoEnd, freeSpace) {
+    if (!autoStart || freeSpace <= 0) return 0;
+    return autoEnd ? freeSpace / 2 : freeSpace;
+  }
+
+  /**
+   * Get the total outer width of an instance including margin
+   * @param {WorldInstance} instance - The instance
+   * @returns {number} Total width including margin
+   */
+  getOuterWidth(instance) {
+    const boxModel = this.getBoxModel(instance);
+    return instance.width + boxModel.margin.left + boxModel.margin.right;
+  }
+
+  /**
+   * Get the total outer height of an instance including margin
+   * @param {WorldInstance} instance - The instance
+   * @returns {number} Total height including margin
+   */
+  getOuterHeight(instance) {
+    const boxModel = this.getBoxModel(instance);
+    return instance.height + boxModel.margin.top + boxModel.margin.bottom;
+  }
 
-        children.forEach((child, index) => {
-          totalWidthHorizontal += this.getOuterWidth(child);
-          if (index < children.length - 1) {
-            totalWidthHorizontal += layoutProps.gap;
-          }
-          maxHeight = Math.max(maxHeight, this.getOuterHeight(child));
-        });
+  /**
+   * Get children that should be included in layout
+   * @param {WorldInstance} instance - The parent instance
+   * @returns {Array} Array of instances to layout
+   */
+  getLayoutChildren(instance) {
+    return [...instance.children()]
+      .filter((child) => {
+        // Check if layout is explicitly disabled
+        const doLayout = child.instVars?.doLayout;
+        if (doLayout === false) return false;
 
-        // Apply new dimensions
-        instance.width =
-          totalWidthHorizontal +
-          containerBoxModel.border.left +
-          containerBoxModel.border.right;
-        instance.height =
-          maxHeight +
-          containerBoxModel.padding.top +
-          containerBoxModel.padding.bottom +
-          containerBoxModel.border.top +
-          containerBoxModel.border.bottom;
-        break;
+        // Check visibility
+        if (!child.isVisible) return false;
 
-      case "grid":
-        // Grid is more complex, we need to calculate row/column count
-        const columns = layoutProps.columns || 2;
-        const rows = Math.ceil(children.length / columns);
+        // Apply styles to get computed properties
+        const childStyles = this.ensureComputedStyles(child);
 
-        // Find max cell dimensions
-        let maxCellWidth = 0;
-        let maxCellHeight = 0;
+        // Check if child is positioned out of flow
+        const childPosition = childStyles.position || "relative";
+        if (this.isOutOfFlow(childPosition)) {
+          return false;
+        }
 
-        children.forEach((child) => {
-          const childBoxModel = this.getBoxModel(child);
+        return true;
+      })
+      .sort((a, b) => this.getLayoutOrder(a) - this.getLayoutOrder(b));
+  }
 
-          maxCellWidth = Math.max(
-            maxCellWidth,
-            child.width + childBoxModel.margin.left + childBoxModel.margin.right
-          );
+  /**
+   * Get the position of an instance among its siblings from its order
+   * style; siblings with the same order keep their hierarchy order
+   * @param {WorldInstance} instance - The instance, with computed styles
+   * @returns {number} Order value, 0 by default
+   */
+  getLayoutOrder(instance) {
+    return Number(instance._computedStyles?.order) || 0;
+  }
 
-          maxCellHeight = Math.max(
-            maxCellHeight,
-            child.height +
-              childBoxModel.margin.top +
-              childBoxModel.margin.bottom
-          );
-        });
+  /**
+   * Parse a grid-template-columns/rows value into track sizes
+   *
+   * Supports lengths (including % and calc()), fr, auto, min-content,
+   * max-content, minmax(min, max), repeat(count, tracks) and
+   * repeat(auto-fill | auto-fit, tracks). Each track is {min, max}, where
+   * a sizing function is {type: "fixed", value}, {type: "fr", value} or
+   * {type: "auto" | "min-content" | "max-content"}. Lists are cut to
+   * MAX_GRID_LINES tracks
+   *
+   * @param {string|number} text - Track list
+   * @returns {Array<Object>} Tracks, with an auto repeat kept as
+   *   {repeat: "auto-fill" | "auto-fit", tracks}
+   */
+  parseTrackList(text) {
+    const source = String(text).trim();
+    if (this.trackListCache.has(source)) {
+      return this.trackListCache.get(source);
+    }
 
-        // Calculate total dimensions
-        const totalWidthGrid =
-          columns * maxCellWidth +
-          (columns - 1) * layoutProps.gap +
-          containerBoxModel.padding.left +
-          containerBoxModel.padding.right +
-          containerBoxModel.border.left +
-          containerBoxModel.border.right;
+    const invalid = (reason) =>
+      new Error(`Invalid track list "${source}": ${reason}`);
+    const list = [];
+    let autoRepeats = 0;
 
-        const totalHeightGrid =
-          rows * maxCellHeight +
-          (rows - 1) * layoutProps.gap +
-          containerBoxModel.padding.top +
-          containerBoxModel.padding.bottom +
-          containerBoxModel.border.top +
-          containerBoxModel.border.bottom;
+    for (const token of this.splitValueList(source)) {
+      const repeat = /^repeat\((.*)\)$/i.exec(token);
+      if (!repeat) {
+        list.push(this.parseTrackSize(token, invalid));
+        continue;
+      }
 
-        // Apply new dimensions
-        instance.width = totalWidthGrid;
-        instance.height = totalHeightGrid;
-        break;
+      const [count, ...trackTokens] = this.splitArguments(repeat[1]);
+      const tracks = this.splitValueList(trackTokens.join(",")).map((track) =>
+        this.parseTrackSize(track, invalid)
+      );
+      if (!tracks.length) throw invalid("repeat() needs a count and tracks");
+
+      if (count === "auto-fill" || count === "auto-fit") {
+        if (autoRepeats++) {
+          throw invalid("only one auto-fill or auto-fit repeat is allowed");
+        }
+        list.push({ repeat: count, tracks });
+      } else if (/^\d+$/.test(count) && Number(count) > 0) {
+        for (
+          let i = 0;
+          i < Number(count) && list.length < UILayout.MAX_GRID_LINES;
+          i++
+        ) {
+          list.push(...tracks);
+        }
+      } else {
+        throw invalid(`invalid repeat count "${count}"`);
+      }
     }
+
+    if (!list.length) throw invalid("no tracks");
+    list.length = Math.min(list.length, UILayout.MAX_GRID_LINES);
+
+    this.trackListCache.set(source, list);
+    return list;
   }
 
   /**
-   * Apply out-of-flow layout (absolute/anchor positioning)
-   * @param {WorldInstance} instance - The instance to layout
+   * Parse the track list of grid-auto-columns or grid-auto-rows
+   * @param {string|number|undefined} text - Track list, auto when not set
+   * @returns {Array<Object>} Tracks as {min, max}
    */
-  applyOutOfFlowLayout(instance) {
-    if (!instance._computedStyles) {
-      const styles = this.getInstanceStyles(instance);
-      instance._computedStyles = styles;
+  parseAutoTrackList(text) {
+    if (text === undefined || text === null) {
+      return [{ min: { type: "auto" }, max: { type: "auto" } }];
     }
 
-    const layoutProps = this.getLayoutProperties(instance);
-
-    switch (layoutProps.position) {
-      case "absolute":
-        this.positionAbsolute(instance, layoutProps);
-        break;
-      case "anchor":
-        this.positionAnchor(instance, layoutProps);
-        break;
+    const tracks = this.parseTrackList(text);
+    if (tracks.some((track) => track.repeat)) {
+      throw new Error(
+        `Invalid track list "${text}": implicit tracks cannot use auto-fill or auto-fit`
+      );
     }
+    return tracks;
   }
 
   /**
-   * Position an element absolutely within its parent
-   * @param {WorldInstance} instance - The instance to position
-   * @param {Object} layoutProps - Layout properties
+   * Parse a single track size
+   * @param {string} token - Track size, e.g. "1fr" or "minmax(100, 1fr)"
+   * @param {Function} invalid - Creates the error for an invalid token
+   * @returns {Object} Track as {min, max} sizing functions
    */
-  positionAbsolute(instance, layoutProps) {
-    if (!instance.getParent()) return;
+  parseTrackSize(token, invalid) {
+    const minmax = /^minmax\((.*)\)$/i.exec(token);
+    if (minmax) {
+      const args = this.splitArguments(minmax[1]);
+      if (args.length !== 2) throw invalid(`"${token}" needs two sizes`);
+
+      const min = this.parseTrackSizingFunction(args[0], invalid);
+      const max = this.parseTrackSizingFunction(args[1], invalid);
+
+      // A flexible minimum is not allowed, as in CSS
+      if (min.type === "fr") {
+        throw invalid(`"${token}" cannot have a flexible minimum`);
+      }
+      return { min, max };
+    }
 
-    const parent = instance.getParent();
-    const parentBoxModel = this.getBoxModel(parent);
-    const instanceBoxModel = this.getBoxModel(instance);
+    const size = this.parseTrackSizingFunction(token, invalid);
 
-    // Get content area boundaries (inside padding/border)
-    const contentLeft =
-      parent.x + parentBoxModel.padding.left + parentBoxModel.border.left;
-    const contentTop =
-      parent.y + parentBoxModel.padding.top + parentBoxModel.border.top;
-    const contentRight =
-      parent.x +
-      parent.width -
-      parentBoxModel.padding.right -
-      parentBoxModel.border.right;
-    const contentBottom =
-      parent.y +
-      parent.height -
-      parentBoxModel.padding.bottom -
-      parentBoxModel.border.bottom;
+    // A flexible track has an automatic minimum
+    return size.type === "fr"
+      ? { min: { type: "auto" }, max: size }
+      : {
+          min: size,
+          max: size,
+        };
+  }
 
-    // Calculate position based on properties
-    let x, y;
+  /**
+   * Parse a track sizing function: a length, fr value or sizing keyword
+   * @param {string} token - Sizing function text
+   * @param {Function} invalid - Creates the error for an invalid token
+   * @returns {Object} {type, value}
+   */
+  parseTrackSizingFunction(token, invalid) {
+    if (["auto", "min-content", "max-content"].includes(token)) {
+      return { type: token };
+    }
 
-    // Handle horizontal positioning
-    if (layoutProps.left !== undefined) {
-      x = contentLeft + layoutProps.left + instanceBoxModel.margin.left;
-    } else if (layoutProps.right !== undefined) {
-      x =
-        contentRight -
-        layoutProps.right -
-        instance.width -
-        instanceBoxModel.margin.right;
-    } else {
-      // Default to left: 0
-      x = contentLeft + instanceBoxModel.margin.left;
+    const fr = /^(\d+(?:\.\d+)?|\.\d+)fr$/.exec(token);
+    if (fr) return { type: "fr", value: Number(fr[1]) };
+
+    if (this.isValidLength(token)) {
+      return { type: "fixed", value: this.convertValue(token) };
     }
 
-    // Handle vertical positioning
-    if (layoutProps.top !== undefined) {
-      y = contentTop + layoutProps.top + instanceBoxModel.margin.top;
-    } else if (layoutProps.bottom !== undefined) {
-      y =
-        contentBottom -
-        layoutProps.bottom -
-        instance.height -
-        instanceBoxModel.margin.bottom;
-    } else {
-      // Default to top: 0
-      y = contentTop + instanceBoxModel.margin.top;
+    throw invalid(`unknown track size "${token}"`);
+  }
+
+  /**
+   * Split function arguments on top-level commas
+   * @param {string} text - Text between the function's parentheses
+   * @returns {Array<string>} Trimmed arguments
+   */
+  splitArguments(text) {
+    const args = [];
+    let depth = 0;
+    let current = "";
+
+    for (const char of text) {
+      if (char === "(") depth++;
+      if (char === ")") depth = Math.max(0, depth - 1);
+
+      if (depth === 0 && char === ",") {
+        args.push(current.trim());
+        current = "";
+      } else {
+        current += char;
+      }
     }
 
-    // Apply the position
-    instance.x = x;
-    instance.y = y;
+    args.push(current.trim());
+    return args;
   }
 
   /**
-   * Position an element using anchor positioning
-   * @param {WorldInstance} instance - The instance to position
-   * @param {Object} layoutProps - Layout properties
+   * Parse grid-template-areas into named rectangles
+   *
+   * Each row is a double- or single-quoted string of area names, with "."
+   * for an empty cell, e.g. "header header" "side main". Every row needs the
+   * same number of cells and each name must form a single rectangle
+   *
+   * @param {string} text - Template areas
+   * @returns {Object} {rowCount, columnCount, areas} where areas maps each
+   *   name to its {rowStart, rowEnd, columnStart, columnEnd} lines
    */
-  positionAnchor(instance, layoutProps) {
-    let target = null;
+  parseGridAreas(text) {
+    const source = String(text).trim();
+    if (this.gridAreasCache.has(source)) {
+      return this.gridAreasCache.get(source);
+    }
 
-    // If no anchor target specified, default to parent
-    if (!layoutProps.anchorTarget) {
-      target = instance.getParent();
-      if (!target) return; // No parent to anchor to
-    } else {
-      // Find the target element by tag/name
-      if (typeof layoutProps.anchorTarget === "string") {
-        // Special case: "parent" refers to the parent element
-        if (layoutProps.anchorTarget === "parent") {
-          target = instance.getParent();
+    const invalid = (reason) =>
+      new Error(`Invalid grid-template-areas "${source}": ${reason}`);
+    if (!/^("[^"]*"\s*|'[^']*'\s*)+$/.test(source)) {
+      throw invalid("each row must be a quoted string");
+    }
+
+    const rows = [...source.matchAll(/"([^"]*)"|'([^']*)'/g)].map((match) =>
+      (match[1] ?? match[2]).trim().split(/\s+/).filter(Boolean)
+    );
+    const columnCount = rows[0].length;
+    if (!columnCount || rows.some((row) => row.length !== columnCount)) {
+      throw invalid("rows must have the same number of cells");
+    }
+
+    const areas = new Map();
+    rows.forEach((row, rowIndex) => {
+      row.forEach((name, columnIndex) => {
+        if (/^\.+$/.test(name)) return;
+        if (!this.isGridAreaName(name)) {
+          throw invalid(`"${name}" is not a valid area name`);
+        }
+
+        const area = areas.get(name);
+        if (!area) {
+          areas.set(name, {
+            rowStart: rowIndex,
+            rowEnd: rowIndex + 1,
+            columnStart: columnIndex,
+            columnEnd: columnIndex + 1,
+          });
         } else {
-          // Look through all objects to find one with matching tag
-          for (const objectType of Object.values(this.runtime.objects)) {
-            for (const inst of objectType.getAllInstances()) {
-              if (inst.hasTags(layoutProps.anchorTarget)) {
-                target = inst;
-                break;
-              }
-            }
-            if (target) break;
+          area.rowEnd = Math.max(area.rowEnd, rowIndex + 1);
+          area.columnEnd = Math.max(area.columnEnd, columnIndex + 1);
+        }
+      });
+    });
+
+    // Every cell inside an area's bounds must carry its name
+    for (const [name, area] of areas) {
+      for (let row = area.rowStart; row < area.rowEnd; row++) {
+        for (let column = area.columnStart; column < area.columnEnd; column++) {
+          if (rows[row][column] !== name) {
+            throw invalid(`area "${name}" is not a rectangle`);
           }
         }
-      } else if (
-        layoutProps.anchorTarget instanceof this.runtime.objects.WorldInstance
-      ) {
-        // Direct instance reference
-        target = layoutProps.anchorTarget;
       }
     }
 
-    if (!target) return;
+    const result = { rowCount: rows.length, columnCount, areas };
+    this.gridAreasCache.set(source, result);
+    return result;
+  }
 
-    // Ensure we have the current position
-    const originalX = instance.x;
-    const originalY = instance.y;
+  /**
+   * Expand an auto-fill/auto-fit repeat into as many repetitions as fit
+   * @param {Array<Object>} list - Parsed track list
+   * @param {number} available - Content size along the axis
+   * @param {number} gap - Gap between tracks
+   * @param {WorldInstance} container - The grid container
+   * @returns {Object} {tracks, autoFit} where autoFit is the [start, end)
+   *   range of tracks repeated with auto-fit, or null
+   */
+  expandTrackList(list, available, gap, container) {
+    const autoIndex = list.findIndex((entry) => entry.repeat);
+    if (autoIndex === -1) return { tracks: list, autoFit: null };
+
+    // Repetitions need a definite size: the fixed maximum, else the fixed
+    // minimum of each track
+    const definiteSize = (track) => {
+      const fn = track.max.type === "fixed" ? track.max : track.min;
+      return fn.type === "fixed"
+        ? this.resolveLength(fn.value, container, available) || 0
+        : 0;
+    };
 
-    // Get anchor points
-    const targetPoint = this.getAnchorPoint(target, layoutProps.anchorPoint);
-    const selfPoint = this.getAnchorPoint(
-      instance,
-      layoutProps.selfAnchor,
-      true
+    const { repeat, tracks: repeated } = list[autoIndex];
+    const others = list.filter((entry, index) => index !== autoIndex);
+    const otherSize = others.reduce(
+      (total, track) => total + definiteSize(track),
+      0
+    );
+    const repeatSize = repeated.reduce(
+      (total, track) => total + definiteSize(track),
+      0
     );
+    const totalSize = (count) =>
+      otherSize +
+      count * repeatSize +
+      Math.max(0, others.length + count * repeated.length - 1) * gap;
+
+    // The largest count that does not overflow, and at least one. The
+    // whole list stays within MAX_GRID_LINES tracks
+    const maxCount = Math.max(
+      1,
+      Math.floor((UILayout.MAX_GRID_LINES - others.length) / repeated.length)
+    );
+    let count = 1;
+    while (count < maxCount && totalSize(count + 1) <= available) count++;
 
-    // Calculate offset between anchor points
-    const offsetX =
-      targetPoint.x -
-      (originalX + selfPoint.offsetX) +
-      layoutProps.anchorOffsetX;
-    const offsetY =
-      targetPoint.y -
-      (originalY + selfPoint.offsetY) +
-      layoutProps.anchorOffsetY;
+    const expanded = [];
+    for (let i = 0; i < count; i++) expanded.push(...repeated);
 
-    // Apply position
-    instance.x = originalX + offsetX;
-    instance.y = originalY + offsetY;
+    return {
+      tracks: [
+        ...list.slice(0, autoIndex),
+        ...expanded,
+        ...list.slice(autoIndex + 1),
+      ],
+      autoFit:
+        repeat === "auto-fit" ? [autoIndex, autoIndex + expanded.length] : null,
+    };
+  }
+
+  /**
+   * Remove empty tracks of an auto-fit repeat, renumbering the items
+   * Tracks an item spans are never empty, so spans stay the same
+   *
+   * @param {Object} trackList - Result of expandTrackList
+   * @param {Array<Object>} items - Placed items
+   * @param {string} key - "column" or "row"
+   * @returns {Array<Object>} Remaining tracks
+   */
+  collapseEmptyTracks(trackList, items, key) {
+    if (!trackList.autoFit) return trackList.tracks;
+
+    const [start, end] = trackList.autoFit;
+    const used = new Set();
+    for (const item of items) {
+      for (let i = 0; i < item[key + "Span"]; i++) used.add(item[key] + i);
+    }
+    const tracks = [];
+    const newIndex = [];
+
+    trackList.tracks.forEach((track, index) => {
+      if (index < start || index >= end || used.has(index)) {
+        newIndex[index] = tracks.length;
+        tracks.push(track);
+      }
+    });
+
+    for (const item of items) {
+      item[key] = newIndex[item[key]];
+    }
+    return tracks;
+  }
+
+  /**
+   * Size grid tracks along one axis
+   *
+   * Tracks start at their fixed minimum or the largest outer size of their
+   * items, grow towards their maximum while there is free space, and fr
+   * tracks then share the rest in proportion to their factors (a track
+   * whose base size is larger than its share keeps its base size).
+   * Items spanning several tracks, smallest spans first, share the size
+   * their tracks lack equally between the spanned tracks without a fixed
+   * minimum
+   *
+   * @param {Array<Object>} tracks - Tracks as {min, max}
+   * @param {Array<Object>} items - {track, span, size} with the first track,
+   *   number of tracks and outer size of each item along the axis
+   * @param {number} available - Content size along the axis
+   * @param {number} gap - Gap between tracks
+   * @param {WorldInstance} container - The grid container
+   * @returns {Array<number>} Track sizes
+   */
+  sizeGridTracks(tracks, items, available, gap, container) {
+    const contributions = tracks.map(() => 0);
+    for (const item of items) {
+      if (item.span > 1) continue;
+      contributions[item.track] = Math.max(
+        contributions[item.track],
+        item.size
+      );
+    }
+
+    // Percentages resolve against the content size
+    const resolveFixed = (fn) =>
+      this.resolveLength(fn.value, container, available) || 0;
+
+    const sizes = tracks.map((track, index) => {
+      const base =
+        track.min.type === "fixed"
+          ? resolveFixed(track.min)
+          : contributions[index];
+      let limit;
+      if (track.max.type === "fixed") {
+        limit = resolveFixed(track.max);
+      } else {
+        limit = track.max.type === "fr" ? Infinity : contributions[index];
+      }
+
+      return {
+        base,
+        limit: Math.max(base, limit),
+        flex: track.max.type === "fr" ? track.max.value : 0,
+      };
+    });
+
+    const spanning = items
+      .filter((item) => item.span > 1)
+      .sort((a, b) => a.span - b.span);
+    for (const item of spanning) {
+      const spanned = sizes.slice(item.track, item.track + item.span);
+      const growable = spanned.filter(
+        (size, index) => tracks[item.track + index].min.type !== "fixed"
+      );
+      const missing =
+        item.size -
+        (item.span - 1) * gap -
+        spanned.reduce((total, size) => total + size.base, 0);
+      if (missing <= 0 || !growable.length) continue;
+
+      for (const size of growable) {
+        size.base += missing / growable.length;
+        size.limit = Math.max(size.limit, size.base);
+      }
+    }
+
+    const freeSpace = () =>
+      available -
+      Math.max(0, tracks.length - 1) * gap -
+      sizes.reduce((total, size) => total + size.base, 0);
+
+    // Grow inflexible tracks towards their limits, sharing space equally
+    let free = freeSpace();
+    while (free > 0.01) {
+      const growing = sizes.filter(
+        (size) => !size.flex && size.base < size.limit
+      );
+      if (!growing.length) break;
+
+      const share = free / growing.length;
+      for (const size of growing) {
+        const growth = Math.min(share, size.limit - size.base);
+        size.base += growth;
+        free -= growth;
+      }
+    }
+
+    // Share the remaining space between fr tracks; tracks whose base size
+    // exceeds their share are treated as inflexible
+    let flexible = sizes.filter((size) => size.flex > 0);
+    if (flexible.length) {
+      const space =
+        freeSpace() + flexible.reduce((total, size) => total + size.base, 0);
+      let frSize = 0;
+
+      for (;;) {
+        const flexSum = Math.max(
+          1,
+          flexible.reduce((total, size) => total + size.flex, 0)
+        );
+        const inflexibleBase = sizes
+          .filter((size) => size.flex > 0 && !flexible.includes(size))
+          .reduce((total, size) => total + size.base, 0);
+        frSize = Math.max(0, space - inflexibleBase) / flexSum;
+
+        const tooLarge = flexible.filter(
+          (size) => size.base > frSize * size.flex
+        );
+        if (!tooLarge.length) break;
+        flexible = flexible.filter((size) => !tooLarge.includes(size));
+      }
+
+      for (const size of flexible) {
+        size.base = Math.max(size.base, frSize * size.flex);
+      }
+    }
+
+    return sizes.map((size) => size.base);
+  }
+
+  /**
+   * Check if a grid item sets any of its start or end lines
+   * @param {WorldInstance} child - The grid item
+   * @returns {boolean} True if the item is not purely auto-placed
+   */
+  hasGridPlacement(child) {
+    const styles = child._computedStyles || {};
+    return [
+      "gridColumnStart",
+      "gridColumnEnd",
+      "gridRowStart",
+      "gridRowEnd",
+    ].some((property) => styles[property] && styles[property] !== "auto");
   }
 
   /**
-   * Get the coordinates of an anchor point on an instance
-   * @param {WorldInstance} instance - The instance
-   * @param {string} anchor - The anchor point name
-   * @param {boolean} returnOffset - If true, return offset from instance origin instead of absolute coordinates
-   * @returns {Object} {x, y} coordinates or {offsetX, offsetY} if returnOffset is true
+   * Resolve a grid-column-start/end or grid-row-start/end value
+   *
+   * Positive numbers count lines from the start of the explicit grid and
+   * negative ones from its end. An area name is the matching edge of that
+   * area, and "name-start"/"name-end" pick an edge explicitly. Line numbers
+   * and spans are clamped to MAX_GRID_LINES
+   *
+   * @param {string|number} value - Line value
+   * @param {string} edge - "start" or "end"
+   * @param {string} axis - "column" or "row"
+   * @param {number} explicitCount - Number of explicit tracks on the axis
+   * @param {Object|null} areas - Result of parseGridAreas
+   * @returns {Object} {line} with a 0-based line index, {span}, or {} for auto
    */
-  getAnchorPoint(instance, anchor, returnOffset = false) {
-    // Calculate based on anchor point
-    let offsetX, offsetY;
+  resolveGridLine(value, edge, axis, explicitCount, areas) {
+    if (value === undefined || value === null || value === "auto") return {};
 
-    switch (anchor) {
-      case "top-left":
-        offsetX = 0;
-        offsetY = 0;
-        break;
-      case "top":
-      case "top-center":
-        offsetX = instance.width / 2;
-        offsetY = 0;
-        break;
-      case "top-right":
-        offsetX = instance.width;
-        offsetY = 0;
-        break;
-      case "left":
-      case "center-left":
-        offsetX = 0;
-        offsetY = instance.height / 2;
-        break;
-      case "center":
-        offsetX = instance.width / 2;
-        offsetY = instance.height / 2;
-        break;
-      case "right":
-      case "center-right":
-        offsetX = instance.width;
-        offsetY = instance.height / 2;
-        break;
-      case "bottom-left":
-        offsetX = 0;
-        offsetY = instance.height;
-        break;
-      case "bottom":
-      case "bottom-center":
-        offsetX = instance.width / 2;
-        offsetY = instance.height;
-        break;
-      case "bottom-right":
-        offsetX = instance.width;
-        offsetY = instance.height;
-        break;
-      default:
-        // Default to center
-        offsetX = instance.width / 2;
-        offsetY = instance.height / 2;
+    const limit = UILayout.MAX_GRID_LINES;
+    const number = Number(value);
+    if (Number.isInteger(number) && number !== 0) {
+      const clamped = Math.max(-limit, Math.min(limit, number));
+      return {
+        line:
+          clamped > 0 ? clamped - 1 : Math.max(0, explicitCount + 1 + clamped),
+      };
     }
 
-    if (returnOffset) {
-      return { offsetX, offsetY };
-    } else {
+    const span = /^span\s+(\d+)$/.exec(value);
+    if (span) return { span: Math.max(1, Math.min(limit, Number(span[1]))) };
+
+    if (!areas) return {};
+    const named = /^(.+)-(start|end)$/.exec(value);
+    const [name, side] =
+      areas.areas.has(value) || !named ? [value, edge] : [named[1], named[2]];
+    const area = areas.areas.get(name);
+
+    return area ? { line: area[axis + this.capitalize(side)] } : {};
+  }
+
+  /**
+   * Work out the first track and number of tracks of a grid item on one
+   * axis, from its start and end lines
+   *
+   * @param {Object} start - Resolved start line
+   * @param {Object} end - Resolved end line
+   * @returns {Object} {track, span} where track is null when auto-placed
+   */
+  getGridSpan(start, end) {
+    if (start.line !== undefined && end.line !== undefined) {
       return {
-        x: instance.x + offsetX,
-        y: instance.y + offsetY,
+        track: Math.min(start.line, end.line),
+        span: Math.max(1, Math.abs(end.line - start.line)),
       };
     }
+    if (start.line !== undefined) {
+      return { track: start.line, span: end.span || 1 };
+    }
+    if (end.line !== undefined) {
+      const track = Math.max(0, end.line - (start.span || 1));
+      return { track, span: Math.max(1, end.line - track) };
+    }
+    return { track: null, span: start.span || end.span || 1 };
   }
 
   /**
-   * Get box model properties for an instance
-   * @param {WorldInstance} instance - The instance to get box model for
-   * @returns {Object} Box model properties
+   * Place grid items in cells
+   *
+   * Follows the CSS auto-placement algorithm: items with both lines set are
+   * placed first, then items locked to a row (or column, when the flow is
+   * column), then the rest in order. A sparse flow never goes back to fill
+   * holes, while "dense" restarts the search from the first cell for each
+   * item. The grid grows along the flow direction as needed
+   *
+   * @param {Array} children - Array of child instances
+   * @param {number} columnCount - Number of explicit columns
+   * @param {number} rowCount - Number of explicit rows
+   * @param {Object|null} areas - Result of parseGridAreas
+   * @param {string} autoFlow - Value of grid-auto-flow
+   * @returns {Array<Object>} {child, column, row, columnSpan, rowSpan}
    */
-  getBoxModel(instance) {
-    if (!instance._computedStyles) {
-      const styles = this.getInstanceStyles(instance);
-      instance._computedStyles = styles;
-    }
+  placeGridItems(children, columnCount, rowCount, areas, autoFlow) {
+    const flow = String(autoFlow).split(/\s+/);
+    const dense = flow.includes("dense");
+    const major = flow.includes("column") ? "column" : "row";
+    const minor = major === "row" ? "column" : "row";
 
-    const styles = instance._computedStyles;
+    const items = children.map((child) => {
+      const styles = child._computedStyles || {};
+      const placement = (axis, count) => {
+        const property = "grid" + this.capitalize(axis);
+        return this.getGridSpan(
+          this.resolveGridLine(
+            styles[property + "Start"],
+            "start",
+            axis,
+            count,
+            areas
+          ),
+          this.resolveGridLine(
+            styles[property + "End"],
+            "end",
+            axis,
+            count,
+            areas
+          )
+        );
+      };
+      const column = placement("column", columnCount);
+      const row = placement("row", rowCount);
 
-    // Get margin (supports individual sides or shorthand)
-    const marginTop = styles.marginTop ?? styles.margin ?? 0;
-    const marginRight = styles.marginRight ?? styles.margin ?? 0;
-    const marginBottom = styles.marginBottom ?? styles.margin ?? 0;
-    const marginLeft = styles.marginLeft ?? styles.margin ?? 0;
-
-    // Get padding (supports individual sides or shorthand)
-    const paddingTop = styles.paddingTop ?? styles.padding ?? 0;
-    const paddingRight = styles.paddingRight ?? styles.padding ?? 0;
-    const paddingBottom = styles.paddingBottom ?? styles.padding ?? 0;
-    const paddingLeft = styles.paddingLeft ?? styles.padding ?? 0;
-
-    // Get border (for now, just a single border size)
-    const borderTop =
-      styles.borderTopWidth ?? styles.borderWidth ?? styles.border ?? 0;
-    const borderRight =
-      styles.borderRightWidth ?? styles.borderWidth ?? styles.border ?? 0;
-    const borderBottom =
-      styles.borderBottomWidth ?? styles.borderWidth ?? styles.border ?? 0;
-    const borderLeft =
-      styles.borderLeftWidth ?? styles.borderWidth ?? styles.border ?? 0;
+      return {
+        child,
+        column: column.track,
+        row: row.track,
+        columnSpan: column.span,
+        rowSpan: row.span,
+      };
+    });
 
-    return {
-      margin: {
-        top: marginTop,
-        right: marginRight,
-        bottom: marginBottom,
-        left: marginLeft,
-      },
-      padding: {
-        top: paddingTop,
-        right: paddingRight,
-        bottom: paddingBottom,
-        left: paddingLeft,
-      },
-      border: {
-        top: borderTop,
-        right: borderRight,
-        bottom: borderBottom,
-        left: borderLeft,
-      },
+    // Cells along the flow grow without limit; across it the grid is as
+    // wide as the explicit grid, the furthest set line or the widest span
+    const minorCount = Math.max(
+      1,
+      minor === "column" ? columnCount : rowCount,
+      ...items.map((item) => (item[minor] || 0) + item[minor + "Span"])
+    );
+
+    // Occupied cells, as one array of flags per track along the flow. The
+    // searches for a free area skip past the furthest occupied cell they
+    // hit rather than trying every cell in between
+    const occupied = [];
+    const freeMinorTrack = (item, majorTrack, minorTrack) => {
+      for (;;) {
+        let furthest = -1;
+        for (let i = 0; i < item[major + "Span"]; i++) {
+          const cells = occupied[majorTrack + i] || [];
+          for (let j = item[minor + "Span"] - 1; j >= 0; j--) {
+            if (cells[minorTrack + j]) {
+              furthest = Math.max(furthest, minorTrack + j);
+              break;
+            }
+          }
+        }
+        if (furthest < 0) return minorTrack;
+        minorTrack = furthest + 1;
+      }
+    };
+    const freeMajorTrack = (item, majorTrack, minorTrack) => {
+      for (;;) {
+        let furthest = -1;
+        for (let i = item[major + "Span"] - 1; i >= 0 && furthest < 0; i--) {
+          const cells = occupied[majorTrack + i] || [];
+          for (let j = 0; j < item[minor + "Span"]; j++) {
+            if (cells[minorTrack + j]) {
+              furthest = majorTrack + i;
+              break;
+            }
+          }
+        }
+        if (furthest < 0) return majorTrack;
+        majorTrack = furthest + 1;
+      }
     };
+    const place = (item, majorTrack, minorTrack) => {
+      item[major] = majorTrack;
+      item[minor] = minorTrack;
+      for (let i = 0; i < item[major + "Span"]; i++) {
+        if (!occupied[majorTrack + i]) occupied[majorTrack + i] = [];
+        for (let j = 0; j < item[minor + "Span"]; j++) {
+          occupied[majorTrack + i][minorTrack + j] = true;
+        }
+      }
+    };
+
+    // Items with both lines set
+    for (const item of items) {
+      if (item[major] !== null && item[minor] !== null) {
+        place(item, item[major], item[minor]);
+      }
+    }
+
+    // Items locked to a row (or column), in the first free cell of it
+    const lockedCursors = new Map();
+    for (const item of items) {
+      if (item[major] === null || item[minor] !== null) continue;
+
+      const minorTrack = freeMinorTrack(
+        item,
+        item[major],
+        dense ? 0 : lockedCursors.get(item[major]) || 0
+      );
+      place(item, item[major], minorTrack);
+      lockedCursors.set(item[major], minorTrack + item[minor + "Span"]);
+    }
+
+    // Everything else, moving a cursor along the flow
+    const cursor = { major: 0, minor: 0 };
+    for (const item of items) {
+      if (item[major] !== null) continue;
+
+      if (dense) {
+        cursor.major = 0;
+        cursor.minor = 0;
+      }
+
+      if (item[minor] !== null) {
+        // Only the position along the flow is free
+        if (item[minor] < cursor.minor) cursor.major++;
+        cursor.major = freeMajorTrack(item, cursor.major, item[minor]);
+        place(item, cursor.major, item[minor]);
+        cursor.minor = item[minor] + item[minor + "Span"];
+        continue;
+      }
+
+      for (;;) {
+        const lastStart = minorCount - item[minor + "Span"];
+        cursor.minor = freeMinorTrack(item, cursor.major, cursor.minor);
+        if (cursor.minor <= lastStart) break;
+
+        cursor.major++;
+        cursor.minor = 0;
+      }
+      place(item, cursor.major, cursor.minor);
+      cursor.minor += item[minor + "Span"];
+    }
+
+    return items;
   }
 
   /**
-   * Get the total outer width of an instance including margin
-   * @param {WorldInstance} instance - The instance
-   * @returns {number} Total width including margin
+   * Parse a grid value at layout time, where an invalid value is replaced
+   * by a fallback instead of throwing. It is reported once per instance and
+   * property, unless style validation already reported it
+   * @param {WorldInstance} container - The grid container
+   * @param {string} property - camelCase property name
+   * @param {string|number} value - The value
+   * @param {Function} parse - Parser that throws on an invalid value
+   * @param {*} fallback - Result for an invalid value
+   * @returns {*} The parsed value, or the fallback
    */
-  getOuterWidth(instance) {
-    const boxModel = this.getBoxModel(instance);
-    return instance.width + boxModel.margin.left + boxModel.margin.right;
+  parseGridValue(container, property, value, parse, fallback) {
+    try {
+      return parse(value);
+    } catch (error) {
+      const reported = this.reportedGridValues.get(container) || new Map();
+      this.reportedGridValues.set(container, reported);
+
+      // Values style validation already flagged are not reported again, so
+      // this reports the ones it could not check, such as var() results
+      if (
+        this.validation.enabled &&
+        reported.get(property) !== value &&
+        !this.invalidDeclarations.has(`${property}:${value}`)
+      ) {
+        reported.set(property, value);
+        this.validation.reporter({
+          message: error.message,
+          property: this.camelToKebab(property),
+          value,
+          instance: container,
+        });
+      }
+      return fallback;
+    }
   }
 
   /**
-   * Get the total outer height of an instance including margin
-   * @param {WorldInstance} instance - The instance
-   * @returns {number} Total height including margin
+   * Work out the column and row sizes of a grid and the cell of each child
+   *
+   * Without grid-template-columns/rows, grid-template-areas,
+   * grid-auto-columns/rows or any item placement, the grid has "columns"
+   * equal columns and every cell is sized to the largest child. Otherwise
+   * children are placed by placeGridItems, and tracks beyond the templates
+   * are sized by grid-auto-columns/rows, each row to its own items by
+   * default
+   *
+   * @param {WorldInstance} container - The grid container
+   * @param {Object} layoutProps - Layout properties
+   * @param {Array} children - Array of child instances
+   * @returns {Object} {columns, rows, columnTracks, rowTracks, items}: track
+   *   sizes, the tracks as {min, max} and {child, column, row, columnSpan,
+   *   rowSpan} for each child
    */
-  getOuterHeight(instance) {
-    const boxModel = this.getBoxModel(instance);
-    return instance.height + boxModel.margin.top + boxModel.margin.bottom;
+  getGridTracks(container, layoutProps, children) {
+    const columnGap = layoutProps.columnGap || 0;
+    const rowGap = layoutProps.rowGap || 0;
+
+    if (
+      !layoutProps.gridTemplateColumns &&
+      !layoutProps.gridTemplateRows &&
+      !layoutProps.gridTemplateAreas &&
+      !layoutProps.gridAutoColumns &&
+      !layoutProps.gridAutoRows &&
+      layoutProps.gridAutoFlow === "row" &&
+      !children.some((child) => this.hasGridPlacement(child))
+    ) {
+      const columns = layoutProps.columns || 2;
+      const rowCount = Math.ceil(children.length / columns);
+      const autoTrack = { min: { type: "auto" }, max: { type: "auto" } };
+      let maxCellWidth = 0;
+      let maxCellHeight = 0;
+
+      children.forEach((child) => {
+        maxCellWidth = Math.max(maxCellWidth, this.getOuterWidth(child));
+        maxCellHeight = Math.max(maxCellHeight, this.getOuterHeight(child));
+      });
+
+      return {
+        columns: new Array(columns).fill(maxCellWidth),
+        rows: new Array(rowCount).fill(maxCellHeight),
+        columnTracks: new Array(columns).fill(autoTrack),
+        rowTracks: new Array(rowCount).fill(autoTrack),
+        items: children.map((child, index) => ({
+          child,
+          column: index % columns,
+          row: Math.floor(index / columns),
+          columnSpan: 1,
+          rowSpan: 1,
+        })),
+      };
+    }
+
+    // Invalid values are reported and treated as not set
+    const parseValue = (property, value, parse, fallback) =>
+      value
+        ? this.parseGridValue(container, property, value, parse, fallback)
+        : fallback;
+    const parseAutoTracks = (value) => this.parseAutoTrackList(value);
+    const parseTracks = (value) => this.parseTrackList(value);
+    const defaultAutoTracks = this.parseAutoTrackList(undefined);
+
+    const contentBox = this.getContentBox(container);
+    const autoColumns = parseValue(
+      "gridAutoColumns",
+      layoutProps.gridAutoColumns,
+      parseAutoTracks,
+      defaultAutoTracks
+    );
+    const autoRows = parseValue(
+      "gridAutoRows",
+      layoutProps.gridAutoRows,
+      parseAutoTracks,
+      defaultAutoTracks
+    );
+    const areas = parseValue(
+      "gridTemplateAreas",
+      layoutProps.gridTemplateAreas,
+      (value) => this.parseGridAreas(value),
+      null
+    );
+    const columnTemplate = parseValue(
+      "gridTemplateColumns",
+      layoutProps.gridTemplateColumns,
+      parseTracks,
+      null
+    );
+    const rowTemplate = parseValue(
+      "gridTemplateRows",
+      layoutProps.gridTemplateRows,
+      parseTracks,
+      null
+    );
+
+    // Columns come from the template, the areas, or "columns" implicit
+    // tracks; rows from the template or the areas. Tracks not in a template
+    // repeat the grid-auto-columns/rows pattern
+    const columnList = columnTemplate
+      ? this.expandTrackList(
+          columnTemplate,
+          contentBox.width,
+          columnGap,
+          container
+        )
+      : { tracks: [], autoFit: null };
+    const rowList = rowTemplate
+      ? this.expandTrackList(rowTemplate, contentBox.height, rowGap, container)
+      : { tracks: [], autoFit: null };
+
+    const columnTemplateCount = columnList.tracks.length;
+    const rowTemplateCount = rowList.tracks.length;
+    const fillTracks = (trackList, count, autoTracks, templateCount) => {
+      while (trackList.tracks.length < count) {
+        const implicitIndex = trackList.tracks.length - templateCount;
+        trackList.tracks = [
+          ...trackList.tracks,
+          autoTracks[implicitIndex % autoTracks.length],
+        ];
+      }
+    };
+    const fillColumns = (count) =>
+      fillTracks(columnList, count, autoColumns, columnTemplateCount);
+    const fillRows = (count) =>
+      fillTracks(rowList, count, autoRows, rowTemplateCount);
+
+    if (!columnTemplate && !areas) {
+      fillColumns(layoutProps.columns || 2);
+    }
+
+    // The areas extend the explicit grid when they are larger than the
+    // templates
+    if (areas) {
+      fillColumns(areas.columnCount);
+      fillRows(areas.rowCount);
+    }
+
+    const items = this.placeGridItems(
+      children,
+      columnList.tracks.length,
+      rowList.tracks.length,
+      areas,
+      layoutProps.gridAutoFlow
+    );
+
+    // Add automatic tracks for items placed beyond the explicit grid
+    const trackEnd = (key) =>
+      Math.max(0, ...items.map((item) => item[key] + item[key + "Span"]));
+    fillColumns(trackEnd("column"));
+    fillRows(trackEnd("row"));
+
+    const columnTracks = this.collapseEmptyTracks(columnList, items, "column");
+    const rowTracks = this.collapseEmptyTracks(rowList, items, "row");
+
+    return {
+      columns: this.sizeGridTracks(
+        columnTracks,
+        items.map((item) => ({
+          track: item.column,
+          span: item.columnSpan,
+          size: this.getOuterWidth(item.child),
+        })),
+        contentBox.width,
+        columnGap,
+        container
+      ),
+      rows: this.sizeGridTracks(
+        rowTracks,
+        items.map((item) => ({
+          track: item.row,
+          span: item.rowSpan,
+          size: this.getOuterHeight(item.child),
+        })),
+        contentBox.height,
+        rowGap,
+        container
+      ),
+      columnTracks,
+      rowTracks,
+      items,
+    };
   }
 
   /**
-   * Get children that should be included in layout
-   * @param {WorldInstance} instance - The parent instance
-   * @returns {Array} Array of instances to layout
+   * Get the start position of each track
+   * @param {Array<number>} sizes - Track sizes
+   * @param {number} start - Position of the first track
+   * @param {number} gap - Space between tracks
+   * @returns {Array<number>} Start of each track
    */
-  getLayoutChildren(instance) {
-    return [...instance.children()]
-      .filter((child) => {
-        // Check if layout is explicitly disabled
-        const doLayout = child.instVars?.doLayout;
-        if (doLayout === false) return false;
-
-        // Check visibility
-        if (!child.isVisible) return false;
-
-        // Apply styles to get computed properties
-        if (!child._computedStyles) {
-          const childStyles = this.getInstanceStyles(child);
-          child._computedStyles = childStyles;
-        }
+  getTrackStarts(sizes, start, gap) {
+    const starts = [];
+    let position = start;
 
-        // Check if child is positioned out of flow
-        const childPosition = child._computedStyles.position || "relative";
-        if (childPosition === "absolute" || childPosition === "anchor") {
-          return false;
-        }
+    for (const size of sizes) {
+      starts.push(position);
+      position += size + gap;
+    }
 
-        return true;
-      })
-      .sort((a, b) => (a._layoutOrder || 0) - (b._layoutOrder || 0));
+    return starts;
   }
 
   /**
@@ -1054,55 +5572,34 @@ class UILayout {
     const containerBoxModel = this.getBoxModel(container);
 
     // Extract layout parameters
-    const columns = layoutProps.columns || 2;
-    const gap = layoutProps.gap || 0;
-    const justifyContent = layoutProps.justifyContent || "start";
-
-    // Calculate available content width
-    const contentWidth =
-      container.width -
-      containerBoxModel.padding.left -
-      containerBoxModel.padding.right -
-      containerBoxModel.border.left -
-      containerBoxModel.border.right;
-
-    // Calculate grid metrics
-    const numRows = Math.ceil(children.length / columns);
-
-    // Get maximum cell dimensions
-    let maxCellWidth = 0;
-    let maxCellHeight = 0;
-
-    children.forEach((gridChild) => {
-      const gridChildBoxModel = this.getBoxModel(gridChild);
-
-      maxCellWidth = Math.max(
-        maxCellWidth,
-        gridChild.width +
-          gridChildBoxModel.margin.left +
-          gridChildBoxModel.margin.right
-      );
-
-      maxCellHeight = Math.max(
-        maxCellHeight,
-        gridChild.height +
-          gridChildBoxModel.margin.top +
-          gridChildBoxModel.margin.bottom
-      );
-    });
+    const columnGap = layoutProps.columnGap || 0;
+    const rowGap = layoutProps.rowGap || 0;
+    const [justifyContent, justifySafety] = this.splitAlignment(
+      layoutProps.justifyContent || "start"
+    );
+    const [alignContent, alignSafety] = this.splitAlignment(
+      layoutProps.alignContent || "start"
+    );
 
-    // Calculate row and column metrics for justify-content
-    // The width needed for all cells without any extra spacing
-    const totalCellWidth = maxCellWidth * columns;
+    // Calculate available content size
+    const { width: contentWidth, height: contentHeight } =
+      this.getContentBox(container);
 
-    // The total width of gaps between cells (not including any extra space)
-    const totalGapWidth = (columns - 1) * gap;
+    // Size the tracks and place the children in cells
+    const { columns, rows, columnTracks, rowTracks, items } =
+      this.getGridTracks(container, layoutProps, children);
 
-    // The total width needed for cells and basic gaps
-    const totalWidthNeeded = totalCellWidth + totalGapWidth;
+    // The width needed for all columns and the gaps between them
+    const totalWidthNeeded =
+      columns.reduce((total, size) => total + size, 0) +
+      Math.max(0, columns.length - 1) * columnGap;
 
     // Any extra space available
-    const extraWidth = Math.max(0, contentWidth - totalWidthNeeded);
+    const extraWidth = this.getContentFreeSpace(
+      contentWidth - totalWidthNeeded,
+      justifyContent,
+      justifySafety
+    );
 
     // Calculate position adjustments based on justifyContent
     let startOffsetX = 0;
@@ -1123,43 +5620,141 @@ class UILayout {
 
       case "space-between":
         // Only add extra space between columns if there are multiple columns
-        extraColumnGap = columns > 1 ? extraWidth / (columns - 1) : 0;
+        extraColumnGap =
+          columns.length > 1 ? extraWidth / (columns.length - 1) : 0;
         break;
 
       case "space-around":
         // Add space around each column
-        startOffsetX = extraWidth / columns / 2;
-        extraColumnGap = extraWidth / columns;
+        startOffsetX = extraWidth / columns.length / 2;
+        extraColumnGap = extraWidth / columns.length;
+        break;
+
+      case "space-evenly":
+        extraColumnGap = extraWidth / (columns.length + 1);
+        startOffsetX = extraColumnGap;
+        break;
+
+      case "stretch": {
+        // Columns with an auto maximum share the extra space equally
+        const autoColumns = columnTracks
+          .map((track, index) => (track.max.type === "auto" ? index : -1))
+          .filter((index) => index !== -1);
+        for (const index of autoColumns) {
+          columns[index] += extraWidth / autoColumns.length;
+        }
+        break;
+      }
+    }
+
+    // The height needed for all rows and the gaps between them
+    const totalHeightNeeded =
+      rows.reduce((total, size) => total + size, 0) +
+      Math.max(0, rows.length - 1) * rowGap;
+    const extraHeight = this.getContentFreeSpace(
+      contentHeight - totalHeightNeeded,
+      alignContent,
+      alignSafety
+    );
+
+    // Calculate position adjustments based on alignContent
+    let startOffsetY = 0;
+    let extraRowGap = 0;
+
+    switch (alignContent) {
+      case "center":
+        startOffsetY = extraHeight / 2;
         break;
+
+      case "end":
+        startOffsetY = extraHeight;
+        break;
+
+      case "space-between":
+        extraRowGap = rows.length > 1 ? extraHeight / (rows.length - 1) : 0;
+        break;
+
+      case "space-around":
+        startOffsetY = extraHeight / rows.length / 2;
+        extraRowGap = extraHeight / rows.length;
+        break;
+
+      case "space-evenly":
+        extraRowGap = extraHeight / (rows.length + 1);
+        startOffsetY = extraRowGap;
+        break;
+
+      case "stretch": {
+        // Rows with an auto maximum share the extra space equally
+        const autoRows = rowTracks
+          .map((track, index) => (track.max.type === "auto" ? index : -1))
+          .filter((index) => index !== -1);
+        for (const index of autoRows) {
+          rows[index] += extraHeight / autoRows.length;
+        }
+        break;
+      }
+
+      default: // 'start'
+        startOffsetY = 0;
     }
 
+    // Start of each track relative to the container
+    const contentLeft =
+      containerBoxModel.padding.left + containerBoxModel.border.left;
+    const baseX = contentLeft + startOffsetX;
+    const baseY =
+      containerBoxModel.padding.top +
+      containerBoxModel.border.top +
+      startOffsetY;
+    const columnStarts = this.getTrackStarts(
+      columns,
+      baseX,
+      columnGap + extraColumnGap
+    );
+    const rowStarts = this.getTrackStarts(rows, baseY, rowGap + extraRowGap);
+
     // Now position each child
-    children.forEach((child, index) => {
+    items.forEach(({ child, column, row, columnSpan, rowSpan }) => {
       const childStyles = child._computedStyles || {};
       const childBoxModel = this.getBoxModel(child);
 
-      // Calculate grid position
-      const row = Math.floor(index / columns);
-      const col = index % columns;
-
-      // Calculate base position
-      const baseX =
-        containerBoxModel.padding.left +
-        containerBoxModel.border.left +
-        startOffsetX;
-      const baseY =
-        containerBoxModel.padding.top + containerBoxModel.border.top;
-
-      // Handle alignSelf and justifySelf for individual grid items
-      const alignSelf =
-        childStyles.alignSelf || layoutProps.alignItems || "start";
-      const justifySelf = childStyles.justifySelf || "start";
-
-      // Calculate cell boundaries
-      const cellLeft = baseX + col * (maxCellWidth + gap + extraColumnGap);
-      const cellTop = baseY + row * (maxCellHeight + gap);
-      const cellWidth = maxCellWidth;
-      const cellHeight = maxCellHeight;
+      // Calculate cell boundaries, which cover every spanned track
+      const lastColumn = column + columnSpan - 1;
+      const lastRow = row + rowSpan - 1;
+      let cellLeft = columnStarts[column];
+      const cellTop = rowStarts[row];
+      const cellWidth =
+        columnStarts[lastColumn] + columns[lastColumn] - cellLeft;
+      const cellHeight = rowStarts[lastRow] + rows[lastRow] - cellTop;
+
+      // Handle alignSelf and justifySelf for individual grid items, falling
+      // back to the container's alignItems and justifyItems
+      const alignSelf = this.getSelfAlignment(
+        this.getAlignSelf(childStyles, layoutProps.alignItems || "start"),
+        cellHeight -
+          (child.height +
+            childBoxModel.margin.top +
+            childBoxModel.margin.bottom)
+      );
+      let justifySelf = this.getSelfAlignment(
+        childStyles.justifySelf || layoutProps.justifyItems || "start",
+        cellWidth -
+          (child.width + childBoxModel.margin.left + childBoxModel.margin.right)
+      );
+
+      // In rtl, columns run from the right edge of the content box and
+      // justify-self start is the cell's right edge
+      if (layoutProps.direction === "rtl") {
+        cellLeft = 2 * contentLeft + contentWidth - cellLeft - cellWidth;
+        justifySelf = this.flipAlignment(justifySelf);
+      }
+
+      // Items without a size of their own fill the cell when stretched
+      this.stretchToSize(child, {
+        width: justifySelf === "stretch" ? cellWidth : null,
+        height: alignSelf === "stretch" ? cellHeight : null,
+      });
 
       // Calculate item position within cell based on self-alignment
       let itemX, itemY;
@@ -1180,7 +5775,7 @@ class UILayout {
           itemX =
             cellLeft + cellWidth - child.width - childBoxModel.margin.right;
           break;
-        default: // 'start'
+        default: // 'start', 'stretch'
           itemX = cellLeft + childBoxModel.margin.left;
       }
 
@@ -1200,7 +5795,7 @@ class UILayout {
           itemY =
             cellTop + cellHeight - child.height - childBoxModel.margin.bottom;
           break;
-        default: // 'start'
+        default: // 'start', 'stretch'
           itemY = cellTop + childBoxModel.margin.top;
       }
 
@@ -1210,6 +5805,86 @@ class UILayout {
     });
   }
 
+  /**
+   * Stretch an item to a space its container gives it (a grid cell, or a
+   * share of a flex line's free space), remembering the size it had before
+   * so the next pass measures it at that size rather than the stretched one.
+   * Dimensions with an explicit size are not stretched
+   * @param {WorldInstance} child - The grid or flex item
+   * @param {Object} cell - {width, height} including margins, null or
+   *   missing for a dimension that does not stretch
+   */
+  stretchToSize(child, cell) {
+    const styles = child._computedStyles || {};
+    const isAuto = (dimension) => {
+      const size = this.getSizeValue(styles, dimension);
+      return size === undefined || size === "auto";
+    };
+    const stretchedDimensions = [];
+    let resized = false;
+
+    for (const dimension of ["width", "height"]) {
+      if (cell[dimension] == null || !isAuto(dimension)) continue;
+
+      this.keepUnstretchedSize(child, dimension);
+      stretchedDimensions.push(dimension);
+
+      const stretched = this.getStretchedSize(
+        child,
+        dimension,
+        cell[dimension]
+      );
+      if (Math.abs(child[dimension] - stretched) > 0.01) {
+        child[dimension] = stretched;
+        resized = true;
+      }
+    }
+
+    // An aspect-ratio sizes the other dimension from a stretched one
+    if (
+      stretchedDimensions.length === 1 &&
+      this.parseAspectRatio(styles.aspectRatio)
+    ) {
+      const other = stretchedDimensions[0] === "width" ? "height" : "width";
+      if (isAuto(other)) {
+        this.keepUnstretchedSize(child, other);
+        if (this.applyAspectRatio(child, other)) resized = true;
+      }
+    }
+
+    if (resized) {
+      this.applyNormalFlowLayout(child, this.getLayoutProperties(child));
+    }
+  }
+
+  /**
+   * Remember the size an item had before its container first stretches a
+   * dimension of it in this pass
+   * @param {WorldInstance} child - The grid or flex item
+   * @param {string} dimension - "width" or "height"
+   */
+  keepUnstretchedSize(child, dimension) {
+    child._unstretchedSize = child._unstretchedSize || {};
+    if (!(dimension in child._unstretchedSize)) {
+      child._unstretchedSize[dimension] = child[dimension];
+    }
+  }
+
+  /**
+   * Give a stretched item back the size it had before stretching, so it is
+   * measured at that size when its container lays out again, and keeps it
+   * once it no longer stretches
+   * @param {WorldInstance} child - The grid or flex item
+   */
+  restoreStretchedSize(child) {
+    if (!child._unstretchedSize) return;
+
+    for (const [dimension, size] of Object.entries(child._unstretchedSize)) {
+      child[dimension] = size;
+    }
+    delete child._unstretchedSize;
+  }
+
   /**
    * Apply styles to an instance
    * @param {WorldInstance} instance - The instance to apply styles to
@@ -1218,6 +5893,7 @@ class UILayout {
   applyStylesToInstance(instance, styles) {
     // Store computed styles on instance for later use
     instance._computedStyles = styles;
+    instance._needsLayout = false;
 
     // Handle flex shorthand property directly
     if (styles.flex !== undefined && typeof styles.flex !== "object") {
@@ -1230,72 +5906,24 @@ class UILayout {
       // Note: String values like "1 2 120" should be handled by parseFlexShorthand
     }
 
-    // Build size constraints
-    const constraints = {};
-    if ("minWidth" in styles) constraints.minWidth = styles.minWidth;
-    if ("maxWidth" in styles) constraints.maxWidth = styles.maxWidth;
-    if ("minHeight" in styles) constraints.minHeight = styles.minHeight;
-    if ("maxHeight" in styles) constraints.maxHeight = styles.maxHeight;
-
-    // Handle percentage sizing if parent exists
-    if (instance.getParent()) {
-      if (
-        "percentWidth" in styles ||
-        ("width" in styles &&
-          styles.width &&
-          typeof styles.width === "string" &&
-          styles.width.endsWith("%"))
-      ) {
-        const percentValue =
-          "percentWidth" in styles
-            ? styles.percentWidth
-            : parseFloat(styles.width) || 0;
-
-        if (percentValue > 0) {
-          const parent = instance.getParent();
-          const parentBoxModel = this.getBoxModel(parent);
-          const availableWidth =
-            parent.width -
-            parentBoxModel.padding.left -
-            parentBoxModel.padding.right -
-            parentBoxModel.border.left -
-            parentBoxModel.border.right;
-
-          instance.width = (availableWidth * percentValue) / 100;
-        }
-      }
-
-      if (
-        "percentHeight" in styles ||
-        ("height" in styles &&
-          styles.height &&
-          typeof styles.height === "string" &&
-          styles.height.endsWith("%"))
-      ) {
-        const percentValue =
-          "percentHeight" in styles
-            ? styles.percentHeight
-            : parseFloat(styles.height) || 0;
-
-        if (percentValue > 0) {
-          const parent = instance.getParent();
-          const parentBoxModel = this.getBoxModel(parent);
-          const availableHeight =
-            parent.height -
-            parentBoxModel.padding.top -
-            parentBoxModel.padding.bottom -
-            parentBoxModel.border.top -
-            parentBoxModel.border.bottom;
-
-          instance.height = (availableHeight * percentValue) / 100;
-        }
-      }
-    }
+    // Resolve explicit sizes; percentages resolve against the parent's
+    // content box (or the layer viewport for root instances)
+    const width = this.resolveLength(
+      this.getSizeValue(styles, "width"),
+      instance,
+      "width"
+    );
+    const height = this.resolveLength(
+      this.getSizeValue(styles, "height"),
+      instance,
+      "height"
+    );
 
     // Apply flex-basis for initial dimension (only if not percentage-based)
     const parent = instance.getParent();
-    const isHorizontal = styles.display === "horizontal";
-    const isVertical = styles.display === "vertical" || !styles.display;
+    const { display } = this.parseDisplay(styles.display);
+    const isHorizontal = display === "horizontal";
+    const isVertical = display === "vertical";
 
     if (parent && (isHorizontal || isVertical)) {
       const flexBasis = styles.flexBasis;
@@ -1310,40 +5938,489 @@ class UILayout {
       }
     }
 
-    // Apply explicit width/height if specified as numeric values
-    if ("width" in styles && typeof styles.width === "number") {
-      instance.width = styles.width;
+    // Apply explicit width/height if they resolved to a length
+    if (width !== undefined) {
+      instance.width = width;
     }
 
-    if ("height" in styles && typeof styles.height === "number") {
-      instance.height = styles.height;
+    if (height !== undefined) {
+      instance.height = height;
     }
 
     // Apply min/max constraints after explicit sizing
-    if ("minWidth" in constraints) {
-      instance.width = Math.max(instance.width, constraints.minWidth);
+    this.applyMinMaxConstraints(instance, styles);
+
+    // Stretched items take the cross size their container gave them
+    this.applyStretchSize(instance);
+
+    // aspect-ratio sizes the dimension without a size of its own
+    const ratioDimension = this.getAspectRatioDimension(instance);
+    if (ratioDimension) this.applyAspectRatio(instance, ratioDimension);
+  }
+
+  /**
+   * Get the cross-axis dimension a flex item stretches along
+   * @param {Object} layoutProps - Layout properties of the container
+   * @param {WorldInstance} child - The flex item
+   * @returns {string|null} "width" or "height", or null if the item does not
+   *   stretch (other alignment, an explicit cross size or auto cross margins)
+   */
+  getStretchDimension(layoutProps, child) {
+    let dimension;
+    if (layoutProps.display === "vertical") {
+      dimension = "width";
+    } else if (layoutProps.display === "horizontal") {
+      dimension = "height";
+    } else {
+      return null;
+    }
+
+    const styles = child._computedStyles || {};
+    if (this.getAlignSelf(styles, layoutProps.alignItems) !== "stretch") {
+      return null;
+    }
+
+    // Auto margins on the cross axis take the free space instead
+    const { autoMargin } = this.getBoxModel(child);
+    const crossAuto =
+      dimension === "width"
+        ? autoMargin.left || autoMargin.right
+        : autoMargin.top || autoMargin.bottom;
+    if (crossAuto) return null;
+
+    const size = this.getSizeValue(styles, dimension);
+    return size === undefined || size === "auto" ? dimension : null;
+  }
+
+  /**
+   * Get the size a stretched item takes to fill a cross-axis space
+   * @param {WorldInstance} child - The flex item
+   * @param {string} dimension - "width" or "height"
+   * @param {number} space - Cross size of the line, including margins
+   * @returns {number} Size without margins, within min/max constraints
+   */
+  getStretchedSize(child, dimension, space) {
+    const boxModel = this.getBoxModel(child);
+    const constraints = this.getSizeConstraints(
+      child,
+      child._computedStyles || {}
+    );
+    const [min, max, margins] =
+      dimension === "width"
+        ? [
+            constraints.minWidth,
+            constraints.maxWidth,
+            boxModel.margin.left + boxModel.margin.right,
+          ]
+        : [
+            constraints.minHeight,
+            constraints.maxHeight,
+            boxModel.margin.top + boxModel.margin.bottom,
+          ];
+
+    let size = Math.max(0, space - margins);
+    if (max !== undefined) size = Math.min(size, max);
+    if (min !== undefined) size = Math.max(size, min);
+    return size;
+  }
+
+  /**
+   * Work out whether a child of a flex container stretches, before the child
+   * lays out its own children. Lines of wrapping containers are only
+   * measured during layout, so their items keep the size from the last pass
+   * until then. Items stretched in the last pass first get their own size
+   * back, so an item that no longer stretches loses the stretched size
+   * @param {WorldInstance} container - The flex container
+   * @param {Object} layoutProps - Layout properties of the container
+   * @param {WorldInstance} child - The child, with computed styles
+   */
+  updateStretchSize(container, layoutProps, child) {
+    this.restoreStretchedSize(child);
+
+    const dimension = this.getStretchDimension(layoutProps, child);
+
+    if (!dimension) {
+      delete child._stretchSize;
+      return;
+    }
+    if (this.isWrapping(layoutProps)) return;
+
+    const space = this.getContentBox(container)[dimension];
+    child._stretchSize = {
+      dimension,
+      size: this.getStretchedSize(child, dimension, space),
+    };
+  }
+
+  /**
+   * Apply the cross size given to a stretched instance, if any
+   * @param {WorldInstance} instance - The instance
+   */
+  applyStretchSize(instance) {
+    if (instance._stretchSize) {
+      const { dimension, size } = instance._stretchSize;
+      this.keepUnstretchedSize(instance, dimension);
+      instance[dimension] = size;
+    }
+  }
+
+  /**
+   * Stretch an item to the cross size of its line during layout. If that
+   * differs from the size it was laid out with, its children are laid out
+   * again
+   * @param {WorldInstance} child - The flex item
+   * @param {string} dimension - "width" or "height"
+   * @param {number} space - Cross size of the line, including margins
+   */
+  stretchItem(child, dimension, space) {
+    const size = this.getStretchedSize(child, dimension, space);
+    child._stretchSize = { dimension, size };
+    this.keepUnstretchedSize(child, dimension);
+
+    if (Math.abs(child[dimension] - size) > 0.01) {
+      child[dimension] = size;
+      this.applyNormalFlowLayout(child, this.getLayoutProperties(child));
     }
+  }
+
+  /**
+   * Share the free space of a flex line with justify-content: stretch
+   * equally between the items with an auto main size and flex-basis, within
+   * their max size. Space an item cannot take goes to the others
+   * @param {Array} children - Items of the line
+   * @param {string} dimension - Main-axis dimension, "width" or "height"
+   * @param {number} freeSpace - Space left on the line
+   * @returns {number} Space the items took
+   */
+  stretchAutoSizedItems(children, dimension, freeSpace) {
+    const spaces = new Map();
+    for (const child of children) {
+      const styles = child._computedStyles || {};
+      const size = this.getSizeValue(styles, dimension);
+      const flexBasis = styles.flexBasis;
+      if (
+        (size === undefined || size === "auto") &&
+        (flexBasis === undefined || flexBasis === "auto")
+      ) {
+        const { margin } = this.getBoxModel(child);
+        const margins =
+          dimension === "width"
+            ? margin.left + margin.right
+            : margin.top + margin.bottom;
+        spaces.set(child, child[dimension] + margins);
+      }
+    }
+
+    let growing = [...spaces.keys()];
+    let remaining = freeSpace;
+    while (remaining > 0.01 && growing.length > 0) {
+      const share = remaining / growing.length;
+      const stillGrowing = [];
+
+      for (const child of growing) {
+        const space = spaces.get(child);
+        const size = this.getStretchedSize(child, dimension, space + share);
+        const grown = size - this.getStretchedSize(child, dimension, space);
+        remaining -= grown;
+        spaces.set(child, space + grown);
+        // Items that reached their max size leave the rest to the others
+        if (grown > share - 0.01) stillGrowing.push(child);
+      }
+      growing = stillGrowing;
+    }
+
+    for (const [child, space] of spaces) {
+      this.stretchToSize(child, { [dimension]: space });
+    }
+    return freeSpace - remaining;
+  }
+
+  /**
+   * Get the flex base size of a child along the main axis: its flex-basis,
+   * or its current size when flex-basis is auto or a percentage (percentages
+   * are applied earlier by applyPercentageSizing)
+   * @param {WorldInstance} child - The flex item
+   * @param {Object} childStyles - Computed styles of the child
+   * @param {string} dimension - "width" or "height"
+   * @returns {number} Base size in pixels, without margins
+   */
+  getFlexBaseSize(child, childStyles, dimension) {
+    const flexBasis = childStyles.flexBasis;
+
+    if (flexBasis === undefined || flexBasis === "auto") {
+      return child[dimension];
+    }
+    if (typeof flexBasis === "number") {
+      return flexBasis;
+    }
+    if (!this.isPercentage(flexBasis)) {
+      // Resolve other units (em, vw, ...)
+      return (
+        this.resolveLength(flexBasis, child, dimension) || child[dimension]
+      );
+    }
+    return child[dimension];
+  }
+
+  /**
+   * Check if a flex container breaks its children into several lines
+   * @param {Object} layoutProps - Layout properties
+   * @returns {boolean} True for flex-wrap: wrap or wrap-reverse
+   */
+  isWrapping(layoutProps) {
+    return (
+      layoutProps.flexWrap === "wrap" || layoutProps.flexWrap === "wrap-reverse"
+    );
+  }
+
+  /**
+   * Break the children of a wrapping flex container into lines, each as full
+   * as its content main size allows
+   * @param {WorldInstance} container - The container
+   * @param {Object} layoutProps - Layout properties
+   * @param {Array} children - Array of child instances
+   * @returns {Array<Object>} Lines as {children, mainSize, crossSize}, with
+   *   sizes including margins and, along the main axis, gaps
+   */
+  getFlexLines(container, layoutProps, children) {
+    const isHorizontal = layoutProps.display === "horizontal";
+    const contentBox = this.getContentBox(container);
+    const mainSpace = isHorizontal ? contentBox.width : contentBox.height;
+    const lines = [];
+    let line = null;
+
+    for (const child of children) {
+      const childStyles = child._computedStyles || {};
+      const childBoxModel = this.getBoxModel(child);
+      const constraints = this.getSizeConstraints(child, childStyles);
+
+      // Items break on their flex base size, clamped by min/max
+      let mainSize = this.getFlexBaseSize(
+        child,
+        childStyles,
+        isHorizontal ? "width" : "height"
+      );
+      const min = isHorizontal ? constraints.minWidth : constraints.minHeight;
+      const max = isHorizontal ? constraints.maxWidth : constraints.maxHeight;
+      if (max !== undefined) mainSize = Math.min(mainSize, max);
+      if (min !== undefined) mainSize = Math.max(mainSize, min);
+
+      const outerMain = isHorizontal
+        ? mainSize + childBoxModel.margin.left + childBoxModel.margin.right
+        : mainSize + childBoxModel.margin.top + childBoxModel.margin.bottom;
+      const outerCross = isHorizontal
+        ? this.getOuterHeight(child)
+        : this.getOuterWidth(child);
+
+      // Start a new line when the item does not fit, unless the line is empty
+      if (
+        !line ||
+        (line.children.length > 0 &&
+          line.mainSize + layoutProps.gap + outerMain > mainSpace)
+      ) {
+        line = { children: [], mainSize: 0, crossSize: 0 };
+        lines.push(line);
+      } else if (line.children.length > 0) {
+        line.mainSize += layoutProps.gap;
+      }
 
-    if ("maxWidth" in constraints) {
-      instance.width = Math.min(instance.width, constraints.maxWidth);
+      line.children.push(child);
+      line.mainSize += outerMain;
+      line.crossSize = Math.max(line.crossSize, outerCross);
     }
 
-    if ("minHeight" in constraints) {
-      instance.height = Math.max(instance.height, constraints.minHeight);
+    return lines;
+  }
+
+  /**
+   * Layout a wrapping flex container: break the children into lines, place
+   * the lines along the cross axis with align-content, then lay out each
+   * line with its own flex distribution and justify-content
+   * @param {WorldInstance} container - The container
+   * @param {Object} layoutProps - Layout properties
+   * @param {Array} children - Array of child instances
+   */
+  layoutFlexLines(container, layoutProps, children) {
+    const isHorizontal = layoutProps.display === "horizontal";
+    const reverse = layoutProps.crossReverse;
+    const lines = this.getFlexLines(container, layoutProps, children);
+    const contentBox = this.getContentBox(container);
+    const crossSpace = isHorizontal ? contentBox.height : contentBox.width;
+
+    // Lines are separated by the gap of the cross axis
+    const lineGap = isHorizontal ? layoutProps.rowGap : layoutProps.columnGap;
+    const totalCrossSize =
+      lines.reduce((total, line) => total + line.crossSize, 0) +
+      Math.max(0, lines.length - 1) * lineGap;
+    const [alignContent, alignSafety] = this.splitAlignment(
+      layoutProps.alignContent
+    );
+    const freeSpace = this.getContentFreeSpace(
+      crossSpace - totalCrossSize,
+      alignContent,
+      alignSafety
+    );
+
+    // Calculate spacing based on alignContent
+    let startOffset = 0;
+    let spaceBetween = 0;
+    let spaceAround = 0;
+    let stretch = 0;
+
+    switch (alignContent) {
+      case "center":
+        startOffset = freeSpace / 2;
+        break;
+      case "end":
+        startOffset = freeSpace;
+        break;
+      case "space-between":
+        spaceBetween = lines.length > 1 ? freeSpace / (lines.length - 1) : 0;
+        break;
+      case "space-around":
+        spaceAround = lines.length > 0 ? freeSpace / lines.length : 0;
+        startOffset = spaceAround / 2;
+        break;
+      case "space-evenly":
+        spaceBetween = freeSpace / (lines.length + 1);
+        startOffset = spaceBetween;
+        break;
+      case "stretch":
+        stretch = lines.length > 0 ? freeSpace / lines.length : 0;
+        break;
     }
 
-    if ("maxHeight" in constraints) {
-      instance.height = Math.min(instance.height, constraints.maxHeight);
+    let offset = startOffset;
+
+    for (const line of lines) {
+      const size = line.crossSize + stretch;
+
+      // wrap-reverse stacks lines from the cross-end side
+      const band = {
+        start: reverse ? crossSpace - offset - size : offset,
+        size,
+      };
+
+      if (isHorizontal) {
+        this.layoutHorizontal(container, layoutProps, line.children, band);
+      } else {
+        this.layoutVertical(container, layoutProps, line.children, band);
+      }
+
+      offset += size + lineGap + spaceBetween + spaceAround;
     }
   }
 
+  /**
+   * Get the justify-content of a flex container along the direction its
+   * items are placed in. Reverse directions place the last item first, so
+   * their start is the far edge
+   * @param {Object} layoutProps - Layout properties of the container
+   * @returns {string} Main-axis alignment
+   */
+  getMainAlignment(layoutProps) {
+    const justifyContent = layoutProps.justifyContent || "start";
+    return layoutProps.reverse
+      ? this.flipAlignment(justifyContent)
+      : justifyContent;
+  }
+
+  /**
+   * Swap start and end alignment, for axes that run from the far edge
+   * @param {string} alignment - Alignment value
+   * @returns {string} Flipped alignment; center, stretch and distributed
+   *   alignments are symmetric and stay the same
+   */
+  flipAlignment(alignment) {
+    const [value, safety] = this.splitAlignment(alignment);
+    let flipped = value;
+    if (value === "start") flipped = "end";
+    if (value === "end") flipped = "start";
+    return safety ? `${safety} ${flipped}` : flipped;
+  }
+
+  /**
+   * Split an alignment value into the alignment and its overflow keyword
+   * @param {string} value - e.g. "center" or "safe end"
+   * @returns {Array} [alignment, "safe" | "unsafe" | undefined]
+   */
+  splitAlignment(value) {
+    const match = /^(safe|unsafe)\s+(\S+)$/.exec(String(value).trim());
+    return match ? [match[2], match[1]] : [value];
+  }
+
+  /**
+   * Get the cross-axis alignment of an item: its align-self, or the
+   * container's align-items when align-self is auto or not set
+   * @param {Object} styles - Computed styles of the item
+   * @param {string} alignItems - align-items of the container
+   * @returns {string} Alignment value
+   */
+  getAlignSelf(styles, alignItems) {
+    return styles.alignSelf && styles.alignSelf !== "auto"
+      ? styles.alignSelf
+      : alignItems;
+  }
+
+  /**
+   * Resolve the alignment of an item within its line or cell. With safe
+   * alignment, an item larger than the space it is aligned in starts at the
+   * start edge instead of overflowing it
+   * @param {string} value - align-self, align-items or justify-self value
+   * @param {number} freeSpace - Space left beside the item, including its
+   *   margins; negative when it overflows
+   * @returns {string} start, center, end or stretch
+   */
+  getSelfAlignment(value, freeSpace) {
+    const [alignment, safety] = this.splitAlignment(value);
+    return safety === "safe" && freeSpace < 0 ? "start" : alignment;
+  }
+
+  /**
+   * Get the free space justify-content or align-content distributes. When
+   * the content overflows, it stays at the start edge, unless unsafe center
+   * or end alignment lets it overflow that edge too
+   * @param {number} freeSpace - Space left after the content; negative when
+   *   it overflows
+   * @param {string} alignment - Alignment, without its overflow keyword
+   * @param {string} [safety] - "safe" or "unsafe"
+   * @returns {number} Space to distribute
+   */
+  getContentFreeSpace(freeSpace, alignment, safety) {
+    if (freeSpace >= 0) return freeSpace;
+    return safety === "unsafe" &&
+      (alignment === "center" || alignment === "end")
+      ? freeSpace
+      : 0;
+  }
+
+  /**
+   * Get the cross-axis alignment of an item within its line
+   * @param {string} alignment - align-self or align-items value
+   * @param {Object} layoutProps - Layout properties of the container
+   * @returns {string} Alignment, with start and end swapped when the
+   *   cross-start side is the far edge (wrap-reverse, or vertical in rtl)
+   */
+  getLineAlignment(alignment, layoutProps) {
+    if (!layoutProps.crossReverse) return alignment;
+    if (alignment === "end") return "start";
+    return alignment === "center" || alignment === "stretch"
+      ? alignment
+      : "end";
+  }
+
   /**
    * Layout children in a vertical stack with flex distribution
    * @param {WorldInstance} container - The container
    * @param {Object} layoutProps - Layout properties
    * @param {Array} children - Array of child instances
+   * @param {Object} [line] - Cross-axis band of a wrapped line, {start, size}
+   *   relative to the content box; defaults to the whole content box
    */
-  layoutVertical(container, layoutProps, children) {
+  layoutVertical(container, layoutProps, children, line) {
+    // Reverse directions place the last item first
+    if (layoutProps.reverse) children = [...children].reverse();
+
     // Get container box model
     const containerBoxModel = this.getBoxModel(container);
 
@@ -1376,6 +6453,7 @@ class UILayout {
     children.forEach((child) => {
       const childStyles = child._computedStyles || {};
       const childBoxModel = this.getBoxModel(child);
+      const constraints = this.getSizeConstraints(child, childStyles);
 
       // Determine if this is a flex item based on flex-grow or flex-shrink
       const flexGrow = parseFloat(childStyles.flexGrow) || 0;
@@ -1384,24 +6462,7 @@ class UILayout {
         typeof flexShrink === "undefined" ? 1 : flexShrink;
 
       // Determine the base height (flex-basis)
-      let baseHeight = child.height; // Default to current height
-
-      // Check if flex-basis is set and apply it first
-      if (
-        childStyles.flexBasis !== undefined &&
-        childStyles.flexBasis !== "auto"
-      ) {
-        if (typeof childStyles.flexBasis === "number") {
-          baseHeight = childStyles.flexBasis;
-        } else if (
-          typeof childStyles.flexBasis === "string" &&
-          !childStyles.flexBasis.endsWith("%")
-        ) {
-          // Handle other units if supported
-          baseHeight = parseFloat(childStyles.flexBasis) || baseHeight;
-        }
-        // Percentage flex-basis is handled earlier in applyPercentageSizing
-      }
+      const baseHeight = this.getFlexBaseSize(child, childStyles, "height");
 
       if (flexGrow > 0 || actualFlexShrink > 0) {
         // This is a flex item
@@ -1412,8 +6473,8 @@ class UILayout {
           flexShrink: actualFlexShrink,
           baseHeight: baseHeight, // Store the flex-basis or initial height
           initialHeight: child.height, // Store current height for reference
-          minHeight: childStyles.minHeight,
-          maxHeight: childStyles.maxHeight,
+          minHeight: constraints.minHeight,
+          maxHeight: constraints.maxHeight,
         });
 
         totalFlexGrow += flexGrow;
@@ -1547,13 +6608,19 @@ class UILayout {
       });
     }
 
-    // Apply final sizes to flex items
+    // Apply final sizes to flex items; items with an aspect-ratio size their
+    // cross axis from the flexed main size
     flexItems.forEach((item) => {
       item.instance.height = item.targetHeight;
+      if (this.getAspectRatioDimension(item.instance) === "width") {
+        this.applyAspectRatio(item.instance, "width");
+      }
     });
 
     // Calculate spacing based on justifyContent
-    const justifyContent = layoutProps.justifyContent || "start";
+    const [justifyContent, justifySafety] = this.splitAlignment(
+      this.getMainAlignment(layoutProps)
+    );
 
     // Recalculate actual total height after flex adjustments
     let actualTotalHeight = 0;
@@ -1569,10 +6636,24 @@ class UILayout {
     let spaceBetween = 0;
     let spaceAround = 0;
 
-    const justifyRemainingSpace = Math.max(
-      0,
-      contentHeight - actualTotalHeight
-    );
+    // Auto margins absorb the space left after flexing, leaving none for
+    // justify-content
+    let freeSpace = contentHeight - actualTotalHeight;
+    const autoMarginCount = children.reduce((count, child) => {
+      const { autoMargin } = this.getBoxModel(child);
+      return count + autoMargin.top + autoMargin.bottom;
+    }, 0);
+    const autoMarginSize = autoMarginCount
+      ? Math.max(0, freeSpace) / autoMarginCount
+      : 0;
+
+    // justify-content: stretch grows auto-sized items into the free space
+    if (justifyContent === "stretch" && !autoMarginCount && freeSpace > 0) {
+      freeSpace -= this.stretchAutoSizedItems(children, "height", freeSpace);
+    }
+    const justifyRemainingSpace = autoMarginCount
+      ? 0
+      : this.getContentFreeSpace(freeSpace, justifyContent, justifySafety);
 
     switch (justifyContent) {
       case "start":
@@ -1594,8 +6675,20 @@ class UILayout {
         spaceAround =
           children.length > 0 ? justifyRemainingSpace / children.length : 0;
         break;
+      case "space-evenly":
+        spaceBetween = justifyRemainingSpace / (children.length + 1);
+        startOffset = spaceBetween;
+        break;
     }
 
+    // Cross-axis band the children are aligned in
+    const crossStart =
+      container.x +
+      containerBoxModel.padding.left +
+      containerBoxModel.border.left +
+      (line ? line.start : 0);
+    const crossSize = line ? line.size : contentWidth;
+
     // Position children with justifyContent and alignItems
     let currentY =
       containerBoxModel.padding.top +
@@ -1611,22 +6704,31 @@ class UILayout {
       const childBoxModel = this.getBoxModel(child);
 
       // Account for child's margin
-      currentY += childBoxModel.margin.top;
+      currentY +=
+        childBoxModel.margin.top +
+        (childBoxModel.autoMargin.top ? autoMarginSize : 0);
 
       // Position vertically
       child.y = container.y + currentY;
 
       // Handle horizontal alignment (cross-axis)
       // Check for alignSelf which overrides the container's alignItems
-      const alignSelf = childStyles.alignSelf || alignment;
+      const alignSelf = this.getLineAlignment(
+        this.getSelfAlignment(
+          this.getAlignSelf(childStyles, alignment),
+          crossSize -
+            (child.width +
+              childBoxModel.margin.left +
+              childBoxModel.margin.right)
+        ),
+        layoutProps
+      );
 
       switch (alignSelf) {
         case "center":
           child.x =
-            container.x +
-            containerBoxModel.padding.left +
-            containerBoxModel.border.left +
-            (contentWidth -
+            crossStart +
+            (crossSize -
               (child.width +
                 childBoxModel.margin.left +
                 childBoxModel.margin.right)) /
@@ -1635,23 +6737,38 @@ class UILayout {
           break;
         case "end":
           child.x =
-            container.x +
-            container.width -
-            containerBoxModel.padding.right -
-            containerBoxModel.border.right -
-            child.width -
-            childBoxModel.margin.right;
+            crossStart + crossSize - child.width - childBoxModel.margin.right;
+          break;
+        case "stretch":
+          if (this.getStretchDimension(layoutProps, child)) {
+            this.stretchItem(child, "width", crossSize);
+          }
+          child.x = crossStart + childBoxModel.margin.left;
           break;
         default: // 'start'
-          child.x =
-            container.x +
-            containerBoxModel.padding.left +
-            containerBoxModel.border.left +
-            childBoxModel.margin.left;
+          child.x = crossStart + childBoxModel.margin.left;
+      }
+
+      // Auto margins on the cross axis take precedence over alignSelf
+      if (childBoxModel.autoMargin.left || childBoxModel.autoMargin.right) {
+        child.x =
+          crossStart +
+          childBoxModel.margin.left +
+          this.getAutoMarginOffset(
+            childBoxModel.autoMargin.left,
+            childBoxModel.autoMargin.right,
+            crossSize -
+              (child.width +
+                childBoxModel.margin.left +
+                childBoxModel.margin.right)
+          );
       }
 
       // Move to next vertical position
-      currentY += child.height + childBoxModel.margin.bottom;
+      currentY +=
+        child.height +
+        childBoxModel.margin.bottom +
+        (childBoxModel.autoMargin.bottom ? autoMarginSize : 0);
 
       // Add gap and spacing for next element
       if (index < children.length - 1) {
@@ -1668,8 +6785,13 @@ class UILayout {
    * @param {WorldInstance} container - The container
    * @param {Object} layoutProps - Layout properties
    * @param {Array} children - Array of child instances
+   * @param {Object} [line] - Cross-axis band of a wrapped line, {start, size}
+   *   relative to the content box; defaults to the whole content box
    */
-  layoutHorizontal(container, layoutProps, children) {
+  layoutHorizontal(container, layoutProps, children, line) {
+    // Reverse directions place the last item first
+    if (layoutProps.reverse) children = [...children].reverse();
+
     // Get container box model
     const containerBoxModel = this.getBoxModel(container);
 
@@ -1702,6 +6824,7 @@ class UILayout {
     children.forEach((child) => {
       const childStyles = child._computedStyles || {};
       const childBoxModel = this.getBoxModel(child);
+      const constraints = this.getSizeConstraints(child, childStyles);
 
       // Determine if this is a flex item based on flex-grow or flex-shrink
       const flexGrow = parseFloat(childStyles.flexGrow) || 0;
@@ -1710,24 +6833,7 @@ class UILayout {
         typeof flexShrink === "undefined" ? 1 : flexShrink;
 
       // Determine the base width (flex-basis)
-      let baseWidth = child.width; // Default to current width
-
-      // Check if flex-basis is set and apply it first
-      if (
-        childStyles.flexBasis !== undefined &&
-        childStyles.flexBasis !== "auto"
-      ) {
-        if (typeof childStyles.flexBasis === "number") {
-          baseWidth = childStyles.flexBasis;
-        } else if (
-          typeof childStyles.flexBasis === "string" &&
-          !childStyles.flexBasis.endsWith("%")
-        ) {
-          // Handle other units if supported
-          baseWidth = parseFloat(childStyles.flexBasis) || baseWidth;
-        }
-        // Percentage flex-basis is handled earlier in applyPercentageSizing
-      }
+      const baseWidth = this.getFlexBaseSize(child, childStyles, "width");
 
       if (flexGrow > 0 || actualFlexShrink > 0) {
         // This is a flex item
@@ -1738,8 +6844,8 @@ class UILayout {
           flexShrink: actualFlexShrink,
           baseWidth: baseWidth, // Store the flex-basis or initial width
           initialWidth: child.width, // Store current width for reference
-          minWidth: childStyles.minWidth,
-          maxWidth: childStyles.maxWidth,
+          minWidth: constraints.minWidth,
+          maxWidth: constraints.maxWidth,
         });
 
         totalFlexGrow += flexGrow;
@@ -1868,13 +6974,19 @@ class UILayout {
       });
     }
 
-    // Apply final sizes to flex items
+    // Apply final sizes to flex items; items with an aspect-ratio size their
+    // cross axis from the flexed main size
     flexItems.forEach((item) => {
       item.instance.width = item.targetWidth;
+      if (this.getAspectRatioDimension(item.instance) === "height") {
+        this.applyAspectRatio(item.instance, "height");
+      }
     });
 
     // Calculate spacing based on justifyContent
-    const justifyContent = layoutProps.justifyContent || "start";
+    const [justifyContent, justifySafety] = this.splitAlignment(
+      this.getMainAlignment(layoutProps)
+    );
 
     // Recalculate actual total width after flex adjustments
     let actualTotalWidth = 0;
@@ -1890,7 +7002,24 @@ class UILayout {
     let spaceBetween = 0;
     let spaceAround = 0;
 
-    const justifyRemainingSpace = Math.max(0, contentWidth - actualTotalWidth);
+    // Auto margins absorb the space left after flexing, leaving none for
+    // justify-content
+    let freeSpace = contentWidth - actualTotalWidth;
+    const autoMarginCount = children.reduce((count, child) => {
+      const { autoMargin } = this.getBoxModel(child);
+      return count + autoMargin.left + autoMargin.right;
+    }, 0);
+    const autoMarginSize = autoMarginCount
+      ? Math.max(0, freeSpace) / autoMarginCount
+      : 0;
+
+    // justify-content: stretch grows auto-sized items into the free space
+    if (justifyContent === "stretch" && !autoMarginCount && freeSpace > 0) {
+      freeSpace -= this.stretchAutoSizedItems(children, "width", freeSpace);
+    }
+    const justifyRemainingSpace = autoMarginCount
+      ? 0
+      : this.getContentFreeSpace(freeSpace, justifyContent, justifySafety);
 
     switch (justifyContent) {
       case "start":
@@ -1912,8 +7041,20 @@ class UILayout {
         spaceAround =
           children.length > 0 ? justifyRemainingSpace / children.length : 0;
         break;
+      case "space-evenly":
+        spaceBetween = justifyRemainingSpace / (children.length + 1);
+        startOffset = spaceBetween;
+        break;
     }
 
+    // Cross-axis band the children are aligned in
+    const crossStart =
+      container.y +
+      containerBoxModel.padding.top +
+      containerBoxModel.border.top +
+      (line ? line.start : 0);
+    const crossSize = line ? line.size : contentHeight;
+
     // Position children with justifyContent and alignItems
     let currentX =
       containerBoxModel.padding.left +
@@ -1929,22 +7070,31 @@ class UILayout {
       const childBoxModel = this.getBoxModel(child);
 
       // Account for child's margin
-      currentX += childBoxModel.margin.left;
+      currentX +=
+        childBoxModel.margin.left +
+        (childBoxModel.autoMargin.left ? autoMarginSize : 0);
 
       // Position horizontally
       child.x = container.x + currentX;
 
       // Handle vertical alignment (cross-axis)
       // Check for alignSelf which overrides the container's alignItems
-      const alignSelf = childStyles.alignSelf || alignment;
+      const alignSelf = this.getLineAlignment(
+        this.getSelfAlignment(
+          this.getAlignSelf(childStyles, alignment),
+          crossSize -
+            (child.height +
+              childBoxModel.margin.top +
+              childBoxModel.margin.bottom)
+        ),
+        layoutProps
+      );
 
       switch (alignSelf) {
         case "center":
           child.y =
-            container.y +
-            containerBoxModel.padding.top +
-            containerBoxModel.border.top +
-            (contentHeight -
+            crossStart +
+            (crossSize -
               (child.height +
                 childBoxModel.margin.top +
                 childBoxModel.margin.bottom)) /
@@ -1953,23 +7103,38 @@ class UILayout {
           break;
         case "end":
           child.y =
-            container.y +
-            container.height -
-            containerBoxModel.padding.bottom -
-            containerBoxModel.border.bottom -
-            child.height -
-            childBoxModel.margin.bottom;
+            crossStart + crossSize - child.height - childBoxModel.margin.bottom;
+          break;
+        case "stretch":
+          if (this.getStretchDimension(layoutProps, child)) {
+            this.stretchItem(child, "height", crossSize);
+          }
+          child.y = crossStart + childBoxModel.margin.top;
           break;
         default: // 'start'
-          child.y =
-            container.y +
-            containerBoxModel.padding.top +
-            containerBoxModel.border.top +
-            childBoxModel.margin.top;
+          child.y = crossStart + childBoxModel.margin.top;
+      }
+
+      // Auto margins on the cross axis take precedence over alignSelf
+      if (childBoxModel.autoMargin.top || childBoxModel.autoMargin.bottom) {
+        child.y =
+          crossStart +
+          childBoxModel.margin.top +
+          this.getAutoMarginOffset(
+            childBoxModel.autoMargin.top,
+            childBoxModel.autoMargin.bottom,
+            crossSize -
+              (child.height +
+                childBoxModel.margin.top +
+                childBoxModel.margin.bottom)
+          );
       }
 
       // Move to next horizontal position
-      currentX += child.width + childBoxModel.margin.right;
+      currentX +=
+        child.width +
+        childBoxModel.margin.right +
+        (childBoxModel.autoMargin.right ? autoMarginSize : 0);
 
       // Add gap and spacing for next element
       if (index < children.length - 1) {
@@ -59,10 +59,15 @@ function* processInstanceStepByStep(layoutInstance, instance) {
     }
 
     const childPosition = childStyles.position || "relative";
-    if (childPosition === "absolute" || childPosition === "anchor") {
+    if (layoutInstance.isOutOfFlow(childPosition)) {
       outOfFlowChildren.push(child);
+      delete child._stretchSize;
+      layoutInstance.restoreStretchedSize(child);
     } else {
       inFlowChildren.push(child);
+
+      // Size stretched children before they lay out their own children
+      layoutInstance.updateStretchSize(instance, layoutProps, child);
     }
   }
 
@@ -74,6 +79,12 @@ function* processInstanceStepByStep(layoutInstance, instance) {
     percentSizedCount: percentSizedChildren.length,
   };
 
+  // Lay out in-flow children in order, then hierarchy order
+  inFlowChildren.sort(
+    (a, b) =>
+      layoutInstance.getLayoutOrder(a) - layoutInstance.getLayoutOrder(b)
+  );
+
   // 4. Recursively process all in-flow children FIRST
   yield {
     step: "4. Processing in-flow children first",
@@ -107,8 +118,7 @@ function* processInstanceStepByStep(layoutInstance, instance) {
   // 5. THEN apply normal flow layout with correctly sized children
   if (
     layoutProps.display &&
-    layoutProps.position !== "absolute" &&
-    layoutProps.position !== "anchor"
+    !layoutInstance.isOutOfFlow(layoutProps.position)
   ) {
     yield {
       step: "5. Applying normal flow layout",
@@ -168,8 +178,7 @@ function* processInstanceStepByStep(layoutInstance, instance) {
       // 6.2 Reapply layout with new child sizes
       if (
         layoutProps.display &&
-        layoutProps.position !== "absolute" &&
-        layoutProps.position !== "anchor"
+        !layoutInstance.isOutOfFlow(layoutProps.position)
       ) {
         yield {
           step: "6.2. Reapplying layout with updated percentage-sized children",
@@ -191,6 +200,44 @@ function* processInstanceStepByStep(layoutInstance, instance) {
     }
   }
 
+  // 6.4 Re-process children whose container queries changed with our size
+  const requeriedChildren = inFlowChildren.filter((child) =>
+    layoutInstance.hasStaleContainerQueries(child)
+  );
+
+  if (requeriedChildren.length > 0) {
+    yield {
+      step: "6.4. Re-processing children with changed container queries",
+      instance: getInstanceInfo(instance),
+      requeriedCount: requeriedChildren.length,
+    };
+
+    for (const child of requeriedChildren) {
+      yield* processInstanceStepByStep(layoutInstance, child);
+    }
+
+    if (
+      layoutProps.display &&
+      !layoutInstance.isOutOfFlow(layoutProps.position)
+    ) {
+      layoutInstance.applyNormalFlowLayout(
+        instance,
+        layoutProps,
+        inFlowChildren
+      );
+    }
+
+    if (layoutProps.fitContent) {
+      layoutInstance.applyFitContentSizing(instance, layoutProps);
+    }
+
+    yield {
+      step: "6.4. Container query children re-laid out",
+      instance: getInstanceInfo(instance),
+      children: inFlowChildren.map(getInstanceInfo),
+    };
+  }
+
   // 7. Process out-of-flow positioned elements
   yield {
     step: "7. Processing out-of-flow children",